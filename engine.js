@@ -0,0 +1,2631 @@
+/* Spark simulation engine (headless). World units and simulated seconds; no DOM, canvas or timers,
+   so it runs in the page, in a Web Worker (importScripts) or under Node (require). */
+
+/* Utility */
+const TWO_PI = Math.PI * 2;
+const DEG_TO_RAD = Math.PI / 180;
+
+function clamp(value, min, max) { return Math.max(min, Math.min(max, value)); }
+function randRange(rng, min, max) { return min + (max - min) * rng(); }
+function distance(a, b) { const dx = a.x - b.x; const dy = a.y - b.y; return Math.hypot(dx, dy); }
+
+// Seedable PRNG (mulberry32); every random draw in the engine goes through one of these
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+function randomSeed() { return Math.floor(Math.random() * 4294967296); }
+
+// Returns earliest t in [0,1] for moving circle vs target circle (ray-circle intersection).
+function sweptCircleHitT(px, py, dx, dy, cx, cy, R) {
+  // Solve |(p + t d) - c|^2 = R^2 => (d·d) t^2 + 2 d·(p-c) t + |p-c|^2 - R^2 = 0
+  const mx = px - cx, my = py - cy;
+  const a = dx * dx + dy * dy;
+  const b = 2 * (dx * mx + dy * my);
+  const c = mx * mx + my * my - R * R;
+  // If starting already inside, treat as immediate hit
+  if (c <= 0) return 0;
+  if (a === 0) return null; // no movement
+  const disc = b * b - 4 * a * c;
+  if (disc < 0) return null;
+  const sqrt = Math.sqrt(disc);
+  const t1 = (-b - sqrt) / (2 * a);
+  const t2 = (-b + sqrt) / (2 * a);
+  // We need the smallest non-negative within [0,1]
+  let t = null;
+  if (t1 >= 0 && t1 <= 1) t = t1;
+  else if (t2 >= 0 && t2 <= 1) t = t2;
+  return t;
+}
+
+// Closest points between segments P0->P1 and Q0->Q1; used for CCD support.
+function closestPointsBetweenSegments(p0x, p0y, p1x, p1y, q0x, q0y, q1x, q1y) {
+  const ux = p1x - p0x, uy = p1y - p0y;
+  const vx = q1x - q0x, vy = q1y - q0y;
+  const wx = p0x - q0x, wy = p0y - q0y;
+  const a = ux * ux + uy * uy;      // |u|^2
+  const b = ux * vx + uy * vy;      // u·v
+  const c = vx * vx + vy * vy;      // |v|^2
+  const d = ux * wx + uy * wy;      // u·w
+  const e = vx * wx + vy * wy;      // v·w
+  const D = a * c - b * b;
+  let sc, sN, sD = D;
+  let tc, tN, tD = D;
+
+  const EPS = 1e-9;
+  if (D < EPS) {
+    // parallel
+    sN = 0.0; sD = 1.0; tN = e; tD = c;
+  } else {
+    sN = (b * e - c * d);
+    tN = (a * e - b * d);
+    if (sN < 0) { sN = 0; tN = e; tD = c; }
+    else if (sN > sD) { sN = sD; tN = e + b; tD = c; }
+  }
+
+  if (tN < 0) {
+    tN = 0;
+    if (-d < 0) sN = 0; else if (-d > a) sN = sD; else { sN = -d; sD = a; }
+  } else if (tN > tD) {
+    tN = tD;
+    if ((-d + b) < 0) sN = 0; else if ((-d + b) > a) sN = sD; else { sN = (-d + b); sD = a; }
+  }
+
+  sc = Math.abs(sD) < EPS ? 0 : sN / sD;
+  tc = Math.abs(tD) < EPS ? 0 : tN / tD;
+
+  const px = p0x + sc * ux, py = p0y + sc * uy;
+  const qx = q0x + tc * vx, qy = q0y + tc * vy;
+  const dx = px - qx, dy = py - qy;
+  return { sc, tc, px, py, qx, qy, dist: Math.hypot(dx, dy) };
+}
+
+// Closest point from a point P to segment AB (projection clamped to [0,1]).
+function closestPointOnSegment(px, py, ax, ay, bx, by) {
+  const vx = bx - ax, vy = by - ay;
+  const wx = px - ax, wy = py - ay;
+  const vLen2 = vx * vx + vy * vy || 1;
+  let t = (wx * vx + wy * vy) / vLen2;
+  t = clamp(t, 0, 1);
+  const cx = ax + t * vx;
+  const cy = ay + t * vy;
+  const dx = px - cx, dy = py - cy;
+  return { t, cx, cy, dist: Math.hypot(dx, dy) };
+}
+
+// Exact time-of-impact for moving circle vs capsule segment; returns {t, nx, ny} or null.
+function sweptCircleSegmentTOI(p0x, p0y, dx, dy, ax, ay, bx, by, r) {
+  // Precompute segment basis
+  const ux = bx - ax, uy = by - ay;
+  const L = Math.hypot(ux, uy);
+  if (L === 0) {
+    // Degenerates to circle at A
+    const tCircle = sweptCircleHitT(p0x, p0y, dx, dy, ax, ay, r);
+    if (tCircle == null) return null;
+    const cx = ax, cy = ay;
+    const px = p0x + dx * tCircle, py = p0y + dy * tCircle;
+    const nx = (px - cx) / (Math.hypot(px - cx, py - cy) || 1);
+    const ny = (py - cy) / (Math.hypot(px - cx, py - cy) || 1);
+    return { t: tCircle, nx, ny };
+  }
+  const unx = ux / L, uny = uy / L; // tangent
+  const nx0 = -uny, ny0 = unx;      // unit normal
+
+  // Infinite strip intersections: solve n·(P0 + t d - A) = ±r
+  const p0n = nx0 * (p0x - ax) + ny0 * (p0y - ay);
+  const dn = nx0 * dx + ny0 * dy;
+  const candidates = [];
+  const EPS = 1e-9;
+  if (Math.abs(dn) > EPS) {
+    for (const sgn of [+1, -1]) {
+      const t = (sgn * r - p0n) / dn;
+      if (t >= -EPS && t <= 1 + EPS) {
+        const px = p0x + dx * t;
+        const py = p0y + dy * t;
+        const s = unx * (px - ax) + uny * (py - ay); // projection along segment
+        if (s >= -EPS && s <= L + EPS) {
+          const normSign = Math.sign(nx0 * (px - ax) + ny0 * (py - ay));
+          const nx = (normSign >= 0) ? nx0 : -nx0;
+          const ny = (normSign >= 0) ? ny0 : -ny0;
+          candidates.push({ t: Math.max(0, Math.min(1, t)), nx, ny });
+        }
+      }
+    }
+  }
+
+  // Endcap circles at A and B
+  const tA = sweptCircleHitT(p0x, p0y, dx, dy, ax, ay, r);
+  if (tA != null && tA >= 0 && tA <= 1) {
+    const px = p0x + dx * tA, py = p0y + dy * tA;
+    const vax = px - ax, vay = py - ay; const len = Math.hypot(vax, vay) || 1;
+    candidates.push({ t: tA, nx: vax / len, ny: vay / len });
+  }
+  const tB = sweptCircleHitT(p0x, p0y, dx, dy, bx, by, r);
+  if (tB != null && tB >= 0 && tB <= 1) {
+    const px = p0x + dx * tB, py = p0y + dy * tB;
+    const vbx = px - bx, vby = py - by; const len = Math.hypot(vbx, vby) || 1;
+    candidates.push({ t: tB, nx: vbx / len, ny: vby / len });
+  }
+
+  if (!candidates.length) return null;
+  let best = candidates[0];
+  for (let i = 1; i < candidates.length; i++) {
+    if (candidates[i].t < best.t) best = candidates[i];
+  }
+  return best;
+}
+
+// Wall contacts step this far off the wall so the next sweep starts clear of it (world units)
+const CONTACT_SKIN_UNITS = 1e-3;
+// Safety cap on contacts resolved within one substep (e.g. a projectile wedged into a corner)
+const MAX_CONTACTS_PER_SUBSTEP = 8;
+// Broadphase: wall grid cell size, and the wall/enemy counts from which the grids replace a full scan
+const WALL_GRID_CELL_UNITS = 16;
+const WALL_GRID_MIN_ITEMS = 16;
+const ENEMY_GRID_CELL_UNITS = 32;
+const ENEMY_GRID_MIN_ENEMIES = 12;
+// What a hit cooldown is shared by (see hitCooldownKey): a cast's projectiles, each projectile alone, or every projectile
+const HIT_COOLDOWN_SCOPES = ['cast', 'projectile', 'global'];
+// Enemy-hit behaviors; a skill profile lists them in priority order (see behaviorOrder in DEFAULT_CONFIG)
+const BEHAVIORS = ['split', 'pierce', 'fork', 'chain'];
+// Default chain search radius (~6 m)
+const CHAIN_RANGE_UNITS = 60;
+// Enemy movement patterns; each enemy moves around its own placed (home) position
+const ENEMY_MOVEMENTS = ['static', 'orbit', 'patrol', 'random', 'teleport', 'chase'];
+// Random walk heading noise (radians per sqrt(second))
+const RANDOM_WALK_TURN = 2.5;
+// Caster movement scripts; the caster starts each run at its placed (home) position
+const CASTER_MOVEMENTS = ['static', 'kite', 'strafe', 'waypoints'];
+
+// World unit references
+const ARENA_RADIUS_UNITS = 160; // circle arena radius in world units
+const BOSS_RADIUS_UNITS = 3;
+const CASTER_RADIUS_UNITS = 3;
+const PROJ_RADIUS_UNITS = 1.5; // Spark's; other skill profiles set projRadius
+const BASE_PROJ_SPEED_UNITS = 80; // Spark's; other skill profiles set baseProjSpeed
+const WANDER_INTENSITY = 0.66;
+
+// Projectile heading models: Spark's event-driven wander, plain random walk, Ornstein–Uhlenbeck
+// (mean-reverting) heading, and straight lines
+const WANDER_MODELS = ['spark', 'randomWalk', 'ou', 'none'];
+
+// Window (seconds) for the rolling hit rate
+const HIT_RATE_WINDOW_SEC = 5;
+// Hit locations kept between packFrame() calls (further ones are dropped when nobody drains them)
+const HIT_MARKS_MAX = 4096;
+// Event log (see Engine.recordEvents): columns of every event, the most events kept (the latest ones), and how
+// many of the oldest go at once when the log is full
+const EVENT_FIELDS = ['t', 'type', 'castId', 'projectileId', 'parentId', 'generation', 'x', 'y', 'target', 'behavior', 'count', 'damage', 'crit'];
+const EVENT_LOG_MAX = 200000;
+const EVENT_LOG_TRIM = 20000;
+// Damage over time is kept in bins of this many simulated seconds (see Engine.steadyState)
+const DAMAGE_BIN_SEC = 0.5;
+// Steady state is only reported once this many rolling windows of run follow it
+const STEADY_MIN_WINDOWS = 4;
+// Boss energy shield recharge: seconds without damage before it starts, then share of the maximum per second
+const ES_RECHARGE_DELAY_SEC = 2;
+const ES_RECHARGE_RATE = 0.33;
+// Boss phase actions (see bossPhases in DEFAULT_CONFIG)
+const PHASE_ACTIONS = ['immune', 'teleport'];
+// Phase defaults when an entry leaves them out: immune seconds, teleport jump radius (units)
+const PHASE_IMMUNE_SEC = 2;
+const PHASE_TELEPORT_UNITS = 30;
+
+/**
+ * Event-driven wander to mimic Spark-like motion:
+ * - Continuous micro-jitter (Gaussian) for subtle wiggle
+ * - Poisson-distributed heading-change events (~3 Hz)
+ * - Mixture of small and larger heading deltas; occasional short bursts (2–3 rapid events)
+ */
+function gaussian(rng) {
+  // Box-Muller transform
+  let u = 0, v = 0;
+  while (u === 0) u = rng();
+  while (v === 0) v = rng();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+// Pending burst events kept per projectile (bursts add at most 2 at a time)
+const WANDER_MAX_PENDING = 8;
+
+// One Wander holds the model and its parameters (from the config's wander* keys); each projectile's clock,
+// pending events and heading offset live in its store slot
+class Wander {
+  constructor(cfg = DEFAULT_CONFIG) {
+    this.model = cfg.wanderModel;
+    // Event rate ~3 Hz, matching observed low-velocity samples
+    this.lambda = cfg.wanderRate;
+    // Probability that an event uses the larger-angle distribution
+    this.pLarge = cfg.wanderPLarge;
+    // Probability to spawn a short burst (1-2 extra events) around the main event
+    this.pBurst = cfg.wanderPBurst;
+    // Angular deltas (radians): small/large turn sigmas and their caps (defaults in DEFAULT_CONFIG)
+    this.sigmaSmall = cfg.wanderSmallDeg * DEG_TO_RAD;
+    this.sigmaLarge = cfg.wanderLargeDeg * DEG_TO_RAD;
+    this.truncSmall = cfg.wanderSmallCapDeg * DEG_TO_RAD;
+    this.truncLarge = cfg.wanderLargeCapDeg * DEG_TO_RAD;
+    // Micro jitter: per sqrt(second)
+    this.sigmaMicro = cfg.wanderJitterDeg * DEG_TO_RAD;
+    this.intensity = cfg.wanderIntensity;
+    // Random walk / OU heading noise (per sqrt(second)) and OU pull back toward the course (per second)
+    this.sigmaTurn = cfg.wanderTurnDeg * DEG_TO_RAD;
+    this.reversion = cfg.wanderReversion;
+  }
+
+  sampleExp(rng, rate) { return -Math.log(1 - rng()) / rate; }
+
+  sampleTruncatedNormal(rng, sigma, maxAbs) {
+    // Centered at 0; accept-reject
+    for (let i = 0; i < 8; i++) {
+      const x = gaussian(rng) * sigma;
+      if (Math.abs(x) <= maxAbs) return x;
+    }
+    return clamp(gaussian(rng) * sigma, -maxAbs, maxAbs);
+  }
+
+  // Fresh wander state for store slot i (only the Spark model draws here)
+  init(store, i, rng) {
+    store.wanderT[i] = 0;
+    store.wanderNext[i] = this.model === 'spark' ? this.sampleExp(rng, this.lambda) : Infinity;
+    store.wanderPendingCount[i] = 0;
+    store.wanderOffset[i] = 0;
+  }
+
+  scheduleBurst(store, i, anchorTime, rng) {
+    const extra = rng() < 0.5 ? 1 : 2;
+    const base = i * WANDER_MAX_PENDING;
+    for (let k = 0; k < extra; k++) {
+      const t = anchorTime + randRange(rng, 0.03, 0.12); // ~30–120 ms
+      // Insert in time order
+      let n = store.wanderPendingCount[i];
+      if (n === WANDER_MAX_PENDING) continue;
+      while (n > 0 && store.wanderPending[base + n - 1] > t) {
+        store.wanderPending[base + n] = store.wanderPending[base + n - 1];
+        n--;
+      }
+      store.wanderPending[base + n] = t;
+      store.wanderPendingCount[i]++;
+    }
+  }
+
+  step(store, i, angle, dt, rng) {
+    switch (this.model) {
+      case 'none':
+        return angle;
+      case 'randomWalk':
+        return angle + gaussian(rng) * this.sigmaTurn * Math.sqrt(Math.max(dt, 0)) * this.intensity;
+      case 'ou': {
+        // The offset from the course mean-reverts (exact OU update); the heading follows its change, so
+        // after a bounce or chain it settles around the new course
+        const decay = Math.exp(-this.reversion * dt);
+        const sd = this.reversion > 0 ? Math.sqrt((1 - decay * decay) / (2 * this.reversion)) : Math.sqrt(Math.max(dt, 0));
+        const prev = store.wanderOffset[i];
+        const next = prev * decay + gaussian(rng) * this.sigmaTurn * sd * this.intensity;
+        store.wanderOffset[i] = next;
+        return angle + next - prev;
+      }
+    }
+    const t = store.wanderT[i] += dt;
+    // Continuous micro jitter
+    angle += gaussian(rng) * this.sigmaMicro * Math.sqrt(Math.max(dt, 0)) * this.intensity;
+
+    // Process any due events (base or burst)
+    const base = i * WANDER_MAX_PENDING;
+    while (true) {
+      let eventTime = null;
+      const pending = store.wanderPendingCount[i];
+      if (pending && store.wanderPending[base] <= t) {
+        eventTime = store.wanderPending[base];
+        store.wanderPending.copyWithin(base, base + 1, base + pending);
+        store.wanderPendingCount[i] = pending - 1;
+      } else if (t >= store.wanderNext[i]) {
+        eventTime = store.wanderNext[i];
+        store.wanderNext[i] = t + this.sampleExp(rng, this.lambda);
+        if (rng() < this.pBurst) this.scheduleBurst(store, i, eventTime, rng);
+      } else {
+        break;
+      }
+
+      const useLarge = rng() < this.pLarge;
+      const sigma = useLarge ? this.sigmaLarge : this.sigmaSmall;
+      const trunc = useLarge ? this.truncLarge : this.truncSmall;
+      const delta = this.sampleTruncatedNormal(rng, sigma, trunc) * this.intensity;
+      angle += delta;
+    }
+
+    return angle;
+  }
+}
+
+/**
+ * Uniform grid broadphase over item bounding boxes. query() finds each candidate index once, in no
+ * particular order; callers sort or break ties by index so equal contact times resolve as in a full scan.
+ */
+class UniformGrid {
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map(); // packed cell key -> item indices
+    this.marks = new Uint32Array(0); // last query stamp per item, to skip duplicates across cells
+    this.stamp = 0;
+    this.found = new Int32Array(0); // indices from the last query
+  }
+  cellKey(ix, iy) { return (ix + 32768) * 65536 + (iy + 32768); }
+  clear(itemCount) {
+    this.cells.clear();
+    if (this.marks.length < itemCount) {
+      this.marks = new Uint32Array(itemCount * 2);
+      this.found = new Int32Array(itemCount * 2);
+    }
+  }
+  insert(index, minX, minY, maxX, maxY) {
+    const s = this.cellSize;
+    const x0 = Math.floor(minX / s), x1 = Math.floor(maxX / s);
+    const y0 = Math.floor(minY / s), y1 = Math.floor(maxY / s);
+    for (let ix = x0; ix <= x1; ix++) {
+      for (let iy = y0; iy <= y1; iy++) {
+        const key = this.cellKey(ix, iy);
+        const cell = this.cells.get(key);
+        if (cell) cell.push(index); else this.cells.set(key, [index]);
+      }
+    }
+  }
+  // Number of items whose boxes share a cell with the query box; their indices are found[0..n-1]
+  query(minX, minY, maxX, maxY) {
+    const s = this.cellSize;
+    const found = this.found;
+    let n = 0;
+    if (++this.stamp === 0xffffffff) { this.marks.fill(0); this.stamp = 1; }
+    const x0 = Math.floor(minX / s), x1 = Math.floor(maxX / s);
+    const y0 = Math.floor(minY / s), y1 = Math.floor(maxY / s);
+    for (let ix = x0; ix <= x1; ix++) {
+      for (let iy = y0; iy <= y1; iy++) {
+        const cell = this.cells.get(this.cellKey(ix, iy));
+        if (!cell) continue;
+        for (const index of cell) {
+          if (this.marks[index] === this.stamp) continue;
+          this.marks[index] = this.stamp;
+          found[n++] = index;
+        }
+      }
+    }
+    return n;
+  }
+}
+
+// Arena shape base + variants. Geometry is in world units centered on the origin.
+class Arena {
+  /**
+   * Earliest wall contact {t, nx, ny} for a circle of radius r moving (dx, dy) from (p0x, p0y), with t in
+   * [0, 1] and the normal pointing back into free space; null if it doesn't touch a wall. Contacts while
+   * moving away from a wall are ignored, so a reflected projectile is never caught twice.
+   */
+  sweepCircle(p0x, p0y, dx, dy, r) { return null; }
+  // Discrete overlap correction: {hit:boolean, nx:number, ny:number, reflect:boolean, x:number, y:number}
+  collideCircle(x, y, r) { return { hit: false }; }
+  // Plain definition of the outline for the arena editor ({walls, polygons, pillars})
+  toDef() { return { walls: [], polygons: [], pillars: [] }; }
+  // ctx is already transformed to world units; scale (px per unit) keeps stroke widths in pixels
+  draw(ctx, scale) {}
+}
+
+class CircleArena extends Arena {
+  constructor() {
+    super();
+    this.center = { x: 0, y: 0 };
+    this.radius = ARENA_RADIUS_UNITS;
+  }
+  // Closed 64-gon outline, so editing can start from this arena
+  toDef() {
+    const n = 64;
+    const poly = [];
+    for (let i = 0; i < n; i++) {
+      const a = i / n * TWO_PI;
+      poly.push({ x: this.center.x + Math.cos(a) * this.radius, y: this.center.y + Math.sin(a) * this.radius });
+    }
+    return { walls: [], polygons: [poly], pillars: [] };
+  }
+  // Exit time from the inner circle of radius (radius - r); normal points to the center
+  sweepCircle(p0x, p0y, dx, dy, r) {
+    const R = this.radius - r;
+    const mx = p0x - this.center.x; const my = p0y - this.center.y;
+    const a = dx * dx + dy * dy;
+    if (a === 0) return null;
+    const b = 2 * (mx * dx + my * dy);
+    const c = mx * mx + my * my - R * R;
+    let t = 0;
+    if (c >= 0) {
+      // On or past the boundary: contact now if heading further out
+      if (b <= 0) return null;
+    } else {
+      t = (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+      if (t > 1) return null;
+    }
+    const px = mx + dx * t; const py = my + dy * t;
+    const d = Math.hypot(px, py) || 1;
+    return { t, nx: -px / d, ny: -py / d };
+  }
+  collideCircle(x, y, r) {
+    const dx = x - this.center.x; const dy = y - this.center.y;
+    const dist = Math.hypot(dx, dy);
+    const limit = this.radius - r;
+    if (dist > limit) {
+      const nx = dx / dist; const ny = dy / dist;
+      const px = this.center.x + nx * limit;
+      const py = this.center.y + ny * limit;
+      return { hit: true, nx, ny, reflect: true, x: px, y: py };
+    }
+    return { hit: false };
+  }
+  draw(ctx, scale) {
+    ctx.save();
+    ctx.strokeStyle = '#334';
+    ctx.lineWidth = 2 / scale;
+    ctx.beginPath();
+    ctx.arc(this.center.x, this.center.y, this.radius, 0, TWO_PI);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
+class SquareArena extends Arena {
+  constructor() {
+    super();
+    const side = ARENA_RADIUS_UNITS * 2; // match circle arena diameter
+    this.rect = { x: -side / 2, y: -side / 2, w: side, h: side };
+  }
+  toDef() {
+    const { x, y, w, h } = this.rect;
+    return { walls: [], polygons: [[{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }]], pillars: [] };
+  }
+  // Earliest exit through one side of the rect shrunk by r. A corner is two contacts at the same t
+  // (x side first), which the engine resolves back to back.
+  sweepCircle(p0x, p0y, dx, dy, r) {
+    const { x, y, w, h } = this.rect;
+    let best = null;
+    const side = (p, d, lo, hi, nx, ny) => {
+      if (d === 0) return;
+      const t = Math.max(0, ((d > 0 ? hi : lo) - p) / d);
+      if (t <= 1 && (!best || t < best.t)) best = { t, nx: d > 0 ? -nx : nx, ny: d > 0 ? -ny : ny };
+    };
+    side(p0x, dx, x + r, x + w - r, 1, 0);
+    side(p0y, dy, y + r, y + h - r, 0, 1);
+    return best;
+  }
+  collideCircle(x, y, r) {
+    const { x: rx, y: ry, w, h } = this.rect;
+    let nx = 0, ny = 0, hit = false;
+    let px = x, py = y;
+    if (x - r < rx) { px = rx + r; nx = -1; hit = true; }
+    if (x + r > rx + w) { px = rx + w - r; nx = 1; hit = true; }
+    if (y - r < ry) { py = ry + r; ny = -1; hit = true; }
+    if (y + r > ry + h) { py = ry + h - r; ny = 1; hit = true; }
+    if (!hit) return { hit: false };
+    const norm = Math.hypot(nx, ny) || 1;
+    return { hit: true, nx: nx / norm, ny: ny / norm, reflect: true, x: px, y: py };
+  }
+  draw(ctx, scale) {
+    const { x, y, w, h } = this.rect;
+    ctx.save();
+    ctx.strokeStyle = '#334';
+    ctx.lineWidth = 2 / scale;
+    ctx.strokeRect(x, y, w, h);
+    ctx.restore();
+  }
+}
+
+// Arena built from wall segments and circular pillars; projectiles are swept against both
+class SegmentArena extends Arena {
+  constructor() {
+    super();
+    this.segments = []; // {x1, y1, x2, y2}
+    this.pillars = []; // {x, y, r}
+    this.grid = null; // built on first sweep for layouts with many walls (segments and pillars are fixed by then)
+  }
+  // Bucket segments (indices 0..n-1) and pillars (n..) by their bounding boxes, padded by the projectile radius
+  buildGrid(pad) {
+    const grid = new UniformGrid(WALL_GRID_CELL_UNITS);
+    const n = this.segments.length;
+    grid.clear(n + this.pillars.length);
+    this.segments.forEach((s, i) => grid.insert(i, Math.min(s.x1, s.x2) - pad, Math.min(s.y1, s.y2) - pad,
+      Math.max(s.x1, s.x2) + pad, Math.max(s.y1, s.y2) + pad));
+    this.pillars.forEach((p, i) => grid.insert(n + i, p.x - p.r - pad, p.y - p.r - pad, p.x + p.r + pad, p.y + p.r + pad));
+    this.grid = grid;
+    this.gridPad = pad;
+  }
+  // Earliest contact {t, nx, ny} for a circle of radius r moving (dx, dy) from (p0x, p0y), or null
+  sweepCircle(p0x, p0y, dx, dy, r) {
+    const n = this.segments.length;
+    if (n + this.pillars.length < WALL_GRID_MIN_ITEMS) {
+      let best = null;
+      for (let i = 0; i < n + this.pillars.length; i++) best = this.sweepItem(i, p0x, p0y, dx, dy, r, best);
+      return best;
+    }
+    if (!this.grid || this.gridPad < r) this.buildGrid(Math.max(r, PROJ_RADIUS_UNITS));
+    const count = this.grid.query(Math.min(p0x, p0x + dx), Math.min(p0y, p0y + dy), Math.max(p0x, p0x + dx), Math.max(p0y, p0y + dy));
+    // Visit candidates in index order so ties resolve as in a full scan
+    const found = this.grid.found.subarray(0, count).sort();
+    let best = null;
+    for (const i of found) best = this.sweepItem(i, p0x, p0y, dx, dy, r, best);
+    return best;
+  }
+  // Sweep against segment i (or pillar i - segments.length); returns the earlier of that contact and best
+  sweepItem(i, p0x, p0y, dx, dy, r, best) {
+    const n = this.segments.length;
+    if (i < n) {
+      // Exact TOI: moving circle vs the wall capsule (segment thickened by radius)
+      const seg = this.segments[i];
+      const hit = sweptCircleSegmentTOI(p0x, p0y, dx, dy, seg.x1, seg.y1, seg.x2, seg.y2, r);
+      if (hit && hit.t >= 0 && hit.t <= 1 && dx * hit.nx + dy * hit.ny < 0) {
+        if (!best || hit.t < best.t) return hit;
+      }
+      return best;
+    }
+    const p = this.pillars[i - n];
+    const t = sweptCircleHitT(p0x, p0y, dx, dy, p.x, p.y, p.r + r);
+    if (t !== null && (!best || t < best.t)) {
+      const cx = p0x + dx * t - p.x; const cy = p0y + dy * t - p.y;
+      const d = Math.hypot(cx, cy) || 1;
+      if (dx * cx + dy * cy < 0) return { t, nx: cx / d, ny: cy / d };
+    }
+    return best;
+  }
+  // Reflect off segments and pillars, simple circle-line collision correction
+  collideCircle(x, y, r) {
+    for (const s of this.segments) {
+      const vx = s.x2 - s.x1; const vy = s.y2 - s.y1;
+      const wx = x - s.x1; const wy = y - s.y1;
+      const vLen2 = vx * vx + vy * vy;
+      const t = vLen2 > 0 ? clamp((wx * vx + wy * vy) / vLen2, 0, 1) : 0;
+      const cx = s.x1 + t * vx; const cy = s.y1 + t * vy;
+      const dx = x - cx; const dy = y - cy; const d = Math.hypot(dx, dy);
+      if (d < r) {
+        const nx = dx / (d || 1); const ny = dy / (d || 1);
+        return { hit: true, nx, ny, reflect: true, x: cx + nx * r, y: cy + ny * r };
+      }
+    }
+    for (const p of this.pillars) {
+      const dx = x - p.x; const dy = y - p.y; const d = Math.hypot(dx, dy);
+      if (d < p.r + r) {
+        const nx = dx / (d || 1); const ny = dy / (d || 1);
+        return { hit: true, nx, ny, reflect: true, x: p.x + nx * (p.r + r), y: p.y + ny * (p.r + r) };
+      }
+    }
+    return { hit: false };
+  }
+  toDef() {
+    return { walls: this.segments.map(s => Object.assign({}, s)), polygons: [], pillars: this.pillars.map(p => Object.assign({}, p)) };
+  }
+  draw(ctx, scale) {
+    ctx.save();
+    ctx.strokeStyle = '#334';
+    ctx.fillStyle = '#334';
+    ctx.lineWidth = 4 / scale;
+    for (const s of this.segments) {
+      ctx.beginPath();
+      ctx.moveTo(s.x1, s.y1);
+      ctx.lineTo(s.x2, s.y2);
+      ctx.stroke();
+    }
+    for (const p of this.pillars) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.r, 0, TWO_PI);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+}
+
+// Default T-junction inner corridor sizes (world units)
+const T_JUNCTION_DIMS = { stemWidth: 100, stemHeight: 260, barWidth: 320, barHeight: 80 };
+
+class TJunctionArena extends SegmentArena {
+  constructor(dims = T_JUNCTION_DIMS) {
+    super();
+    // Build a hollow T corridor: open connection between vertical stem and horizontal bar
+    // Fit the full T height within the baseline circle footprint (320u) so it's centered and not clipped
+    const targetHUnits = ARENA_RADIUS_UNITS * 2; // 320u
+    const tHeightUnits = dims.stemHeight + dims.barHeight; // 340u by default
+    const fitFactor = Math.min(1, targetHUnits / tHeightUnits);
+    const sW = dims.stemWidth * fitFactor;  // inner stem width
+    const sH = dims.stemHeight * fitFactor; // stem length
+    const bW = dims.barWidth * fitFactor;   // inner bar width
+    const bH = dims.barHeight * fitFactor;  // inner bar height
+
+    // Connection Y (where stem meets bar, at center of bar vertically)
+    const connectY = -sH / 2;
+    const barCenterY = connectY; // center of bar along Y
+    const barTopY = barCenterY - bH / 2;
+    const barBotY = barCenterY + bH / 2;
+
+    // Stem vertical walls terminate at bar bottom to leave opening
+    const stemLeftX = -sW / 2;
+    const stemRightX = sW / 2;
+    const stemBotY = sH / 2;
+
+    const barLeftX = -bW / 2;
+    const barRightX = bW / 2;
+
+    // Build segments: two stem sides, stem bottom cap, bar top wall, bar bottom walls left/right (gap at stem), bar end caps
+    this.segments = [
+      // Stem sides (stop at bar bottom)
+      { x1: stemLeftX, y1: barBotY, x2: stemLeftX, y2: stemBotY },
+      { x1: stemRightX, y1: barBotY, x2: stemRightX, y2: stemBotY },
+      // Stem bottom cap
+      { x1: stemLeftX, y1: stemBotY, x2: stemRightX, y2: stemBotY },
+      // Bar top wall (continuous)
+      { x1: barLeftX, y1: barTopY, x2: barRightX, y2: barTopY },
+      // Bar bottom wall split into left and right to leave opening for stem
+      { x1: barLeftX, y1: barBotY, x2: stemLeftX, y2: barBotY },
+      { x1: stemRightX, y1: barBotY, x2: barRightX, y2: barBotY },
+      // Bar end caps
+      { x1: barLeftX, y1: barTopY, x2: barLeftX, y2: barBotY },
+      { x1: barRightX, y1: barTopY, x2: barRightX, y2: barBotY },
+    ];
+  }
+}
+
+/**
+ * User-drawn arena from a plain definition (see normalizeArenaDef): free wall segments, closed
+ * polygons (each edge becomes a wall) and circular pillars.
+ */
+class CustomArena extends SegmentArena {
+  constructor(def) {
+    super();
+    this.def = normalizeArenaDef(def);
+    this.segments = this.def.walls.slice();
+    for (const poly of this.def.polygons) {
+      for (let i = 0; i < poly.length; i++) {
+        const a = poly[i]; const b = poly[(i + 1) % poly.length];
+        this.segments.push({ x1: a.x, y1: a.y, x2: b.x, y2: b.y });
+      }
+    }
+    this.pillars = this.def.pillars.slice();
+  }
+  toDef() { return normalizeArenaDef(this.def); }
+}
+
+// Validated copy of an arena definition: { name, walls: [{x1,y1,x2,y2}], polygons: [[{x,y}...]], pillars: [{x,y,r}] }
+function normalizeArenaDef(def) {
+  const d = def || {};
+  const fin = (...v) => v.every(Number.isFinite);
+  const walls = (Array.isArray(d.walls) ? d.walls : [])
+    .map(w => ({ x1: Number(w.x1), y1: Number(w.y1), x2: Number(w.x2), y2: Number(w.y2) }))
+    .filter(w => fin(w.x1, w.y1, w.x2, w.y2));
+  const polygons = (Array.isArray(d.polygons) ? d.polygons : [])
+    .map(poly => (Array.isArray(poly) ? poly : []).map(p => ({ x: Number(p.x), y: Number(p.y) })).filter(p => fin(p.x, p.y)))
+    .filter(poly => poly.length >= 3);
+  const pillars = (Array.isArray(d.pillars) ? d.pillars : [])
+    .map(p => ({ x: Number(p.x), y: Number(p.y), r: Number(p.r) }))
+    .filter(p => fin(p.x, p.y, p.r) && p.r > 0);
+  return { name: String(d.name || 'Custom'), walls, polygons, pillars };
+}
+
+/** Arena loaded from a geometry file (see parseArenaFile); `def.source` records the file format. */
+class ImportedArena extends CustomArena {
+  constructor(def) {
+    super(def);
+    this.source = (def && def.source) || 'json';
+  }
+}
+
+// Parse "x1,y1 x2,y2 ..." (SVG points / coordinate lists) into [{x, y}]
+function parsePointList(text) {
+  const nums = String(text || '').trim().split(/[\s,]+/).filter(Boolean).map(Number);
+  const pts = [];
+  for (let i = 0; i + 1 < nums.length; i += 2) pts.push({ x: nums[i], y: nums[i + 1] });
+  return pts;
+}
+
+// Open polyline -> wall segments
+function polylineWalls(pts) {
+  const walls = [];
+  for (let i = 0; i + 1 < pts.length; i++) walls.push({ x1: pts[i].x, y1: pts[i].y, x2: pts[i + 1].x, y2: pts[i + 1].y });
+  return walls;
+}
+
+/**
+ * Arena definition from JSON in world units. Accepts either a plain list of shapes or an object
+ * with `walls`/`segments`, `polygons`, `polylines` and `pillars`/`circles` lists. Shapes:
+ * segment {x1, y1, x2, y2}, circle {x, y, r}, polyline/polygon {points: [[x, y], ...] | [{x, y}, ...], closed}.
+ */
+function parseArenaJSON(text, name) {
+  const data = JSON.parse(text);
+  const def = { name: (data && data.name) || name, walls: [], polygons: [], pillars: [], source: 'json' };
+  // Malformed input names the field at fault instead of failing somewhere inside the parse
+  const list = (value, field) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) throw new Error('"' + field + '" must be a list');
+    return value;
+  };
+  const entry = (item, field, i) => {
+    if (!item || typeof item !== 'object') throw new Error(field + '[' + i + '] must be an object or a list of points');
+    return item;
+  };
+  const toPoints = (pts, field) => list(pts, field).map((p, i) => {
+    if (Array.isArray(p)) return { x: p[0], y: p[1] };
+    if (!p || typeof p !== 'object') throw new Error(field + '[' + i + '] must be a point [x, y] or {x, y}');
+    return p;
+  });
+  const add = (item, field, i) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) throw new Error(field + '[' + i + '] must be a shape object');
+    if (item.x1 !== undefined) def.walls.push(item);
+    else if (item.r !== undefined) def.pillars.push(item);
+    else if (item.points !== undefined && item.points !== null) {
+      const pts = toPoints(item.points, field + '[' + i + '].points');
+      if (item.closed === false) def.walls.push(...polylineWalls(pts));
+      else def.polygons.push(pts);
+    } else throw new Error(field + '[' + i + '] is not a segment, circle or polygon');
+  };
+  if (Array.isArray(data)) data.forEach((item, i) => add(item, 'shapes', i));
+  else if (data && typeof data === 'object') {
+    for (const key of ['walls', 'segments', 'pillars', 'circles']) list(data[key], key).forEach((item, i) => add(item, key, i));
+    list(data.polygons, 'polygons').forEach((poly, i) => {
+      entry(poly, 'polygons', i);
+      def.polygons.push(toPoints(poly.points || poly, 'polygons[' + i + ']'));
+    });
+    list(data.polylines, 'polylines').forEach((line, i) => {
+      entry(line, 'polylines', i);
+      def.walls.push(...polylineWalls(toPoints(line.points || line, 'polylines[' + i + ']')));
+    });
+  } else {
+    throw new Error('Expected a list of shapes or an object with walls/polygons/pillars');
+  }
+  return def;
+}
+
+/**
+ * Arena definition from a simple SVG: <line>, <polyline>, <polygon> and <circle> elements. SVG user
+ * units times `scale` become world units, with the viewBox (or width/height) center at the arena
+ * origin. Transforms, paths and other elements are ignored. Parsed with regexes so it also works
+ * headless, where there is no DOMParser.
+ */
+function parseArenaSVG(text, name, scale = 1) {
+  const src = String(text);
+  const attrsOf = (tag) => {
+    const out = {};
+    const re = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let m;
+    while ((m = re.exec(tag))) out[m[1]] = m[2] !== undefined ? m[2] : m[3];
+    return out;
+  };
+  const root = src.match(/<svg\b[^>]*>/i);
+  if (!root) throw new Error('No <svg> element found');
+  const rootAttrs = attrsOf(root[0]);
+  let cx = 0, cy = 0;
+  const vb = parsePointList(rootAttrs.viewBox);
+  if (vb.length === 2) { cx = vb[0].x + vb[1].x / 2; cy = vb[0].y + vb[1].y / 2; }
+  else if (rootAttrs.width && rootAttrs.height) { cx = parseFloat(rootAttrs.width) / 2; cy = parseFloat(rootAttrs.height) / 2; }
+  const map = (x, y) => ({ x: (Number(x) - cx) * scale, y: (Number(y) - cy) * scale });
+  const def = { name, walls: [], polygons: [], pillars: [], source: 'svg' };
+  const re = /<(line|polyline|polygon|circle)\b[^>]*>/gi;
+  let m;
+  while ((m = re.exec(src))) {
+    const a = attrsOf(m[0]);
+    const kind = m[1].toLowerCase();
+    if (kind === 'line') {
+      const p1 = map(a.x1 || 0, a.y1 || 0); const p2 = map(a.x2 || 0, a.y2 || 0);
+      def.walls.push({ x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y });
+    } else if (kind === 'circle') {
+      const c = map(a.cx || 0, a.cy || 0);
+      def.pillars.push({ x: c.x, y: c.y, r: Number(a.r) * scale });
+    } else {
+      const pts = parsePointList(a.points).map(p => map(p.x, p.y));
+      if (kind === 'polygon') def.polygons.push(pts);
+      else def.walls.push(...polylineWalls(pts));
+    }
+  }
+  return def;
+}
+
+// Arena definition from a file's name and text (.svg or JSON); throws with a readable message if nothing usable is found
+function parseArenaFile(fileName, text, scale = 1) {
+  const name = String(fileName || 'Imported').replace(/\.[^.]+$/, '');
+  const isSvg = /\.svg$/i.test(fileName || '') || /^\s*(<\?xml[^>]*>\s*)?<svg\b/i.test(text);
+  const raw = isSvg ? parseArenaSVG(text, name, scale) : parseArenaJSON(text, name);
+  if (!isSvg && scale !== 1) {
+    for (const w of raw.walls) { w.x1 *= scale; w.y1 *= scale; w.x2 *= scale; w.y2 *= scale; }
+    raw.polygons = raw.polygons.map(poly => poly.map(p => ({ x: p.x * scale, y: p.y * scale })));
+    raw.pillars = raw.pillars.map(p => ({ x: p.x * scale, y: p.y * scale, r: p.r * scale }));
+  }
+  const def = Object.assign(normalizeArenaDef(raw), { source: raw.source });
+  if (!def.walls.length && !def.polygons.length && !def.pillars.length) throw new Error('No walls, polygons or circles found');
+  return def;
+}
+
+// `def` is only used for 'custom' and 'imported'
+function createArena(type, def) {
+  if (type === 'square') return new SquareArena();
+  if (type === 'tjunction') return new TJunctionArena();
+  if (type === 'custom') return new CustomArena(def);
+  if (type === 'imported') return new ImportedArena(def);
+  return new CircleArena();
+}
+
+// Arena for a config, picking the definition that matches its arenaType
+function createConfigArena(cfg) {
+  return createArena(cfg.arenaType, cfg.arenaType === 'imported' ? cfg.importedArena : cfg.customArena);
+}
+
+// Entity (player/boss/enemy); id keys per-target cooldowns and projectile hit lists
+class Entity {
+  constructor(x, y, r, color, id) {
+    this.x = x; this.y = y; this.r = r; this.color = color; this.id = id; this.drag = false;
+    this.homeX = x; this.homeY = y; // placed position that movement patterns run around
+    this.prevX = x; this.prevY = y; // position at the start of the current physics step
+    this.moveState = null;
+  }
+  // Shift both the current and the placed position (dragging keeps a moving entity on its pattern)
+  moveBy(dx, dy) { this.x += dx; this.y += dy; this.homeX += dx; this.homeY += dy; }
+  draw(ctx) {
+    ctx.save();
+    ctx.fillStyle = this.color;
+    ctx.beginPath();
+    ctx.arc(this.x, this.y, this.r, 0, TWO_PI);
+    ctx.fill();
+    ctx.restore();
+  }
+  contains(px, py) { return Math.hypot(px - this.x, py - this.y) <= this.r; }
+}
+
+/**
+ * Live projectiles as a structure of arrays (world units; spawnTime/duration in simulated seconds).
+ * Slots 0..count-1 are live; removed slots are compacted away in order and their storage reused, so high
+ * projectile counts don't allocate an object per projectile.
+ */
+class ProjectileStore {
+  constructor(capacity = 256) {
+    this.count = 0;
+    this.allocate(capacity);
+  }
+  allocate(capacity) {
+    const old = this.capacity ? this : null;
+    this.capacity = capacity;
+    for (const name of ['id', 'castId', 'parentId', 'x', 'y', 'vx', 'vy', 'angle', 'speed', 'spawnTime', 'duration', 'wanderT', 'wanderNext', 'wanderOffset']) {
+      this[name] = grow(Float64Array, old && old[name], capacity);
+    }
+    for (const name of ['generation', 'pierce', 'fork', 'chain', 'split']) this[name] = grow(Int32Array, old && old[name], capacity);
+    this.hasSplit = grow(Uint8Array, old && old.hasSplit, capacity);
+    this.wanderPendingCount = grow(Uint8Array, old && old.wanderPendingCount, capacity);
+    this.wanderPending = grow(Float64Array, old && old.wanderPending, capacity * WANDER_MAX_PENDING);
+    // Enemies each projectile (or its parent) already hit; they can't be hit again
+    const hitIds = old ? old.hitIds : [];
+    while (hitIds.length < capacity) hitIds.push([]);
+    this.hitIds = hitIds;
+  }
+  // Claim a slot at the end; grows (and replaces) the arrays when full, so re-read them after adding
+  add() {
+    if (this.count === this.capacity) this.allocate(this.capacity * 2);
+    const i = this.count++;
+    this.hitIds[i].length = 0;
+    return i;
+  }
+  // Move slot `from` into slot `to` (compaction); the hit lists swap so each slot keeps its own array
+  move(from, to) {
+    this.id[to] = this.id[from]; this.castId[to] = this.castId[from];
+    this.parentId[to] = this.parentId[from]; this.generation[to] = this.generation[from];
+    this.x[to] = this.x[from]; this.y[to] = this.y[from];
+    this.vx[to] = this.vx[from]; this.vy[to] = this.vy[from];
+    this.angle[to] = this.angle[from]; this.speed[to] = this.speed[from];
+    this.spawnTime[to] = this.spawnTime[from]; this.duration[to] = this.duration[from];
+    this.pierce[to] = this.pierce[from]; this.fork[to] = this.fork[from];
+    this.chain[to] = this.chain[from]; this.split[to] = this.split[from];
+    this.hasSplit[to] = this.hasSplit[from];
+    this.wanderT[to] = this.wanderT[from]; this.wanderNext[to] = this.wanderNext[from];
+    this.wanderOffset[to] = this.wanderOffset[from];
+    this.wanderPendingCount[to] = this.wanderPendingCount[from];
+    this.wanderPending.copyWithin(to * WANDER_MAX_PENDING, from * WANDER_MAX_PENDING, (from + 1) * WANDER_MAX_PENDING);
+    const hits = this.hitIds[to];
+    this.hitIds[to] = this.hitIds[from];
+    this.hitIds[from] = hits;
+  }
+  clear() { this.count = 0; }
+  age(i, now) { return now - this.spawnTime[i]; }
+  isExpired(i, now) { return this.age(i, now) > this.duration[i] && this.duration[i] >= 0; }
+  // Point the velocity along the current angle
+  aim(i) {
+    this.vx[i] = Math.cos(this.angle[i]) * this.speed[i];
+    this.vy[i] = Math.sin(this.angle[i]) * this.speed[i];
+  }
+  reflect(i, nx, ny) {
+    // reflect velocity vector over normal
+    const vdotn = this.vx[i] * nx + this.vy[i] * ny;
+    this.vx[i] -= 2 * vdotn * nx;
+    this.vy[i] -= 2 * vdotn * ny;
+    this.angle[i] = Math.atan2(this.vy[i], this.vx[i]);
+  }
+}
+
+// New typed array of `capacity` holding the contents of `old` (if any)
+function grow(Type, old, capacity) {
+  const arr = new Type(capacity);
+  if (old) arr.set(old.subarray(0, Math.min(old.length, capacity)));
+  return arr;
+}
+
+// Engine config defaults (mirrors the side panel defaults). Positions are world units from arena center.
+const DEFAULT_CONFIG = {
+  arenaType: 'circle',
+  customArena: null, // arena definition when arenaType is 'custom' (see normalizeArenaDef)
+  importedArena: null, // arena definition when arenaType is 'imported' (see parseArenaFile)
+  // Damage model: each hit rolls uniformly in [damageMin, damageMax], may crit, and is scaled by the target's
+  // shock stacks and its resistance less penetration. Ignite burns for a share of the hit per second.
+  damageMin: 1000,
+  damageMax: 1000,
+  critChance: 0, // % per hit
+  critMulti: 150, // damage of a critical strike, % of the rolled hit
+  shockChance: 0, // % per hit
+  shockEffect: 15, // % more damage taken per shock stack
+  shockStacks: 3, // most shock stacks on one enemy; another shock replaces the oldest
+  shockDuration: 2, // seconds
+  igniteChance: 0, // % per hit
+  igniteDps: 90, // ignite damage per second, % of the hit before resistance; only an enemy's strongest ignite burns
+  igniteDuration: 4, // seconds
+  penetration: 0, // % of the enemy's resistance ignored by hits (not by ignite)
+  enemyResist: 0, // % damage taken reduction of every enemy
+  bossLife: 0, // boss life pool; 0 = unkillable, the run goes on. Killing the boss ends the run
+  bossEs: 0, // boss energy shield, taken before life; recharges after ES_RECHARGE_DELAY_SEC without damage
+  bossRegen: 0, // boss life regenerated per second
+  bossPhases: [], // [{pct, action, duration, radius}]: once boss life falls to pct % it goes immune for duration s or teleports within radius
+  // Skill profile (see SKILL_PROFILES): the mechanics that differ between projectile skills. Defaults are Spark's.
+  hitCooldownSec: 0.66, // after a hit, the target can't be hit again by the same cooldown scope for this long
+  hitCooldownScope: 'cast', // one of HIT_COOLDOWN_SCOPES
+  behaviorOrder: BEHAVIORS, // priority of the enemy-hit behaviors; the first one available happens
+  forkAngleDeg: 60, // fork children leave at ± this from the parent's heading
+  baseProjSpeed: BASE_PROJ_SPEED_UNITS, // units/s before projSpeedMod
+  projRadius: PROJ_RADIUS_UNITS, // projectile collision radius (units)
+  passThrough: false, // true: a hit with no behavior left doesn't absorb the projectile, it flies on
+  projSpeedMod: 1,
+  projectileCount: 8,
+  castSpeed: 3,
+  duration: 2,
+  castShape: 'circular',
+  casterFacingDeg: 0,
+  coneAngleDeg: 90,
+  pierceCount: 0,
+  forkTimes: 0,
+  chainCount: 0,
+  splitCount: 0,
+  forkChance: 0,
+  bossRadius: BOSS_RADIUS_UNITS,
+  chainRange: CHAIN_RANGE_UNITS,
+  caster: { x: -40, y: 30 },
+  boss: { x: 30, y: -30 },
+  extraEnemies: [], // [{x, y, r}] besides the boss
+  enemyMovement: 'static', // one of ENEMY_MOVEMENTS
+  enemyMoveSpeed: 20, // units/s (orbit, patrol, random walk, chase)
+  enemyMoveRange: 30, // orbit radius, patrol half-length, random walk / teleport radius (units)
+  teleportInterval: 3, // seconds between teleports
+  casterMovement: 'static', // one of CASTER_MOVEMENTS
+  casterMoveSpeed: 30, // units/s
+  casterPause: 1, // seconds standing at each stop (waypoint, strafe end, every quarter circle of kiting)
+  castWhileMoving: true, // false: casting only while standing; moving interrupts the cast in progress
+  casterWaypoints: [], // [{x, y}] world units; strafe runs between home and the first one
+  wanderModel: 'spark', // one of WANDER_MODELS
+  wanderIntensity: WANDER_INTENSITY, // scales every heading change, whatever the model
+  wanderRate: 3, // spark: heading-change events per second
+  wanderPLarge: 0.35, // spark: share of events drawn from the large-angle distribution
+  wanderPBurst: 0.25, // spark: chance an event brings 1–2 quick follow-ups
+  wanderSmallDeg: 22, // spark: small event sigma (degrees)
+  wanderLargeDeg: 75, // spark: large event sigma (degrees)
+  wanderSmallCapDeg: 60, // spark: small events truncated at ± this (degrees)
+  wanderLargeCapDeg: 120, // spark: large events truncated at ± this (degrees)
+  wanderJitterDeg: 4, // spark: continuous micro-jitter (degrees per sqrt(second))
+  wanderTurnDeg: 60, // random walk / OU: heading noise (degrees per sqrt(second))
+  wanderReversion: 2, // OU: pull of the heading back toward its course (per second)
+  steadyWindowSec: 5, // steady state: rolling DPS window (seconds)
+  steadyTolerancePct: 10, // steady state: how close the window must come to the sustained DPS (%)
+  burstSec: 5, // burst DPS is the damage over the first this many seconds
+  seed: 1,
+};
+
+// Motion model config keys (the Advanced motion panel)
+const WANDER_KEYS = ['wanderModel', 'wanderIntensity', 'wanderRate', 'wanderPLarge', 'wanderPBurst', 'wanderSmallDeg', 'wanderLargeDeg',
+  'wanderSmallCapDeg', 'wanderLargeCapDeg', 'wanderJitterDeg', 'wanderTurnDeg', 'wanderReversion'];
+
+// Motion presets, as changes from the defaults (the observed Spark fit)
+const WANDER_PRESETS = [
+  { key: 'spark', label: 'Spark (observed fit)', values: {} },
+  { key: 'calm', label: 'Spark, calmer', values: { wanderIntensity: 0.35 } },
+  { key: 'erratic', label: 'Spark, erratic', values: { wanderIntensity: 1, wanderRate: 5, wanderPLarge: 0.5 } },
+  { key: 'randomWalk', label: 'Random walk', values: { wanderModel: 'randomWalk', wanderIntensity: 1 } },
+  { key: 'ou', label: 'Ornstein–Uhlenbeck heading', values: { wanderModel: 'ou', wanderIntensity: 1, wanderTurnDeg: 90 } },
+  { key: 'straight', label: 'Straight lines', values: { wanderModel: 'none' } },
+];
+
+// Full set of wander* values for a preset key
+function wanderPreset(key) {
+  const preset = WANDER_PRESETS.find(p => p.key === key) || WANDER_PRESETS[0];
+  const out = {};
+  for (const k of WANDER_KEYS) out[k] = k in preset.values ? preset.values[k] : DEFAULT_CONFIG[k];
+  return out;
+}
+
+// Preset matching the config's motion settings, or null when they've been customized
+function matchWanderPreset(cfg) {
+  for (const preset of WANDER_PRESETS) {
+    const values = wanderPreset(preset.key);
+    if (WANDER_KEYS.every(k => values[k] === cfg[k])) return preset.key;
+  }
+  return null;
+}
+
+// Skill profile config keys (the Skill Profile fields)
+const SKILL_KEYS = ['hitCooldownSec', 'hitCooldownScope', 'behaviorOrder', 'forkAngleDeg', 'baseProjSpeed', 'projRadius', 'passThrough'];
+
+// Built-in skill profiles, as changes from the defaults (Spark's game values). The Spark variants are what-ifs
+// for a patched cooldown rule. The Arc-like and Ball Lightning-like numbers are approximations of how those
+// skills behave, not sourced game values. Motion is set separately (WANDER_PRESETS).
+const SKILL_PROFILES = [
+  { key: 'spark', label: 'Spark', values: {} },
+  { key: 'sparkProjectile', label: 'Spark, cooldown per projectile', values: { hitCooldownScope: 'projectile' } },
+  { key: 'sparkGlobal', label: 'Spark, one cooldown for all casts', values: { hitCooldownScope: 'global' } },
+  {
+    // Fast, thin bolt that chains before anything else
+    key: 'arc', label: 'Arc-like chaining bolt (approximate)',
+    values: { hitCooldownScope: 'projectile', behaviorOrder: ['chain', 'fork', 'pierce', 'split'], baseProjSpeed: 200, projRadius: 1 },
+  },
+  {
+    // Slow, large orb that passes through everything and hits each target it overlaps every 0.2 s
+    key: 'ballLightning', label: 'Ball Lightning-like orb (approximate)',
+    values: { hitCooldownSec: 0.2, hitCooldownScope: 'projectile', baseProjSpeed: 45, projRadius: 10, passThrough: true },
+  },
+];
+
+// Full set of skill profile values for a profile key
+function skillProfile(key) {
+  const profile = SKILL_PROFILES.find(p => p.key === key) || SKILL_PROFILES[0];
+  const out = {};
+  for (const k of SKILL_KEYS) out[k] = k in profile.values ? profile.values[k] : DEFAULT_CONFIG[k];
+  return out;
+}
+
+// Profile matching the config's skill settings, or null when they've been customized
+function matchSkillProfile(cfg) {
+  const same = (a, b) => (Array.isArray(a) ? a.join() === String(b) : a === b);
+  for (const profile of SKILL_PROFILES) {
+    const values = skillProfile(profile.key);
+    if (SKILL_KEYS.every(k => same(values[k], cfg[k]))) return profile.key;
+  }
+  return null;
+}
+
+// Full behavior priority from a partial list: known names in the given order, then the rest in the default order
+function normalizeBehaviorOrder(order) {
+  const out = [];
+  for (const b of Array.isArray(order) ? order : []) if (BEHAVIORS.includes(b) && !out.includes(b)) out.push(b);
+  for (const b of BEHAVIORS) if (!out.includes(b)) out.push(b);
+  return out;
+}
+
+// Fill defaults and derived fields (castInterval) for a partial config
+function normalizeConfig(partial) {
+  const cfg = Object.assign({}, DEFAULT_CONFIG, partial);
+  // Older configs give one flat hit
+  if (partial && partial.avgHit !== undefined && partial.damageMin === undefined && partial.damageMax === undefined) {
+    cfg.damageMin = cfg.damageMax = Number(partial.avgHit);
+  }
+  cfg.damageMin = Math.max(0, Number(cfg.damageMin) || 0);
+  cfg.damageMax = Math.max(cfg.damageMin, Number(cfg.damageMax) || 0);
+  cfg.shockStacks = Math.max(1, Math.floor(cfg.shockStacks) || 1);
+  // A missing or unreadable duration / radius takes the phase default
+  const phaseValue = (v, def) => (v === undefined || v === null || v === '' || !Number.isFinite(Number(v)) ? def : Math.max(0, Number(v)));
+  cfg.bossPhases = (cfg.bossPhases || [])
+    .filter(ph => ph && PHASE_ACTIONS.includes(ph.action) && ph.pct > 0 && ph.pct < 100)
+    .map(ph => (ph.action === 'immune'
+      ? { pct: Number(ph.pct), action: ph.action, duration: phaseValue(ph.duration, PHASE_IMMUNE_SEC) }
+      : { pct: Number(ph.pct), action: ph.action, radius: phaseValue(ph.radius, PHASE_TELEPORT_UNITS) }))
+    .sort((a, b) => b.pct - a.pct);
+  cfg.hitCooldownSec = Math.max(0, Number(cfg.hitCooldownSec) || 0);
+  if (!HIT_COOLDOWN_SCOPES.includes(cfg.hitCooldownScope)) cfg.hitCooldownScope = 'cast';
+  cfg.behaviorOrder = normalizeBehaviorOrder(cfg.behaviorOrder);
+  cfg.forkAngleDeg = clamp(Number(cfg.forkAngleDeg) || 0, 0, 180);
+  cfg.baseProjSpeed = Number(cfg.baseProjSpeed) > 0 ? Number(cfg.baseProjSpeed) : BASE_PROJ_SPEED_UNITS;
+  cfg.projRadius = Number(cfg.projRadius) > 0 ? Number(cfg.projRadius) : PROJ_RADIUS_UNITS;
+  cfg.passThrough = Boolean(cfg.passThrough);
+  cfg.castInterval = cfg.castSpeed > 0 ? 1 / cfg.castSpeed : Infinity;
+  cfg.forkChance = clamp(Number(cfg.forkChance || 0), 0, 100);
+  cfg.bossRadius = Number(cfg.bossRadius || BOSS_RADIUS_UNITS);
+  cfg.seed = Number(cfg.seed) >>> 0;
+  if (!ENEMY_MOVEMENTS.includes(cfg.enemyMovement)) cfg.enemyMovement = 'static';
+  if (!CASTER_MOVEMENTS.includes(cfg.casterMovement)) cfg.casterMovement = 'static';
+  if (!WANDER_MODELS.includes(cfg.wanderModel)) cfg.wanderModel = 'spark';
+  return cfg;
+}
+
+/** Engine: fixed-timestep Spark physics, casting and hit bookkeeping on a simulated clock. */
+class Engine {
+  constructor(config) {
+    this.fixedDt = 1 / 120; // high fidelity physics
+    this.maxTerrainStepUnits = 1.0; // CCD safety step for terrain (world units)
+    this.time = 0; // simulated seconds
+    this.accum = 0;
+
+    this.config = normalizeConfig(config);
+    this.rng = createRng(this.config.seed);
+    // Separate stream for enemy movement, so moving enemies don't shift projectile draws
+    this.moveRng = createRng(this.config.seed ^ 0x5bd1e995);
+    // And for damage rolls, so crits, shock and ignite leave the paths alone
+    this.damageRng = createRng(this.config.seed ^ 0x27d4eb2f);
+    this.nextCastId = 1;
+    this.nextProjectileId = 1;
+    this.caster = new Entity(this.config.caster.x, this.config.caster.y, CASTER_RADIUS_UNITS, '#4aa3ff');
+    this.boss = new Entity(this.config.boss.x, this.config.boss.y, BOSS_RADIUS_UNITS, '#ff6b6b', 'boss');
+    this.arena = createConfigArena(this.config);
+    this.boss.r = clamp(this.config.bossRadius, 0.1, 999);
+    // All hittable targets; the boss is always first
+    this.enemies = [this.boss];
+    this.nextEnemyId = 2;
+    for (const e of this.config.extraEnemies) this.addEnemy(e.x, e.y, e.r);
+    // Off when another engine moves shared entities (live A/B compare)
+    this.movesEntities = true;
+    this.resetMovement();
+
+    // State
+    this.projectiles = new ProjectileStore();
+    this.wander = new Wander(this.config);
+    this.enemyGrid = new UniformGrid(ENEMY_GRID_CELL_UNITS); // rebuilt each step when there are many enemies
+    this.running = true; // casting enabled; projectiles in flight always advance
+    this.castAccumulator = 0;
+
+    // Hit tracking
+    this.hitsTotal = 0;
+    this.totalDamage = 0;
+    this.hitTimestamps = []; // for recent rate window
+    this.recentDamage = []; // [time, damage] pairs within the rate window (hits and ignite ticks)
+    this.damageBins = []; // damage dealt per DAMAGE_BIN_SEC since the start of the run
+    this.steadyCache = null;
+    this.shocks = new Map(); // enemy id -> expiry times of its shock stacks
+    this.ignites = new Map(); // enemy id -> [{dps, until}], dps before shock and resistance
+    this.resetLife();
+    this.hitMarks = []; // [enemy index, angle around the enemy (rad)] per hit since the last packFrame()
+    this.hitLocks = new Map(); // hitCooldownKey -> next time that key may hit
+    this.events = null; // event log of the run while recording (see recordEvents), else null
+    this.eventsDropped = 0; // oldest events dropped to keep the log within EVENT_LOG_MAX
+  }
+
+  /**
+   * Record (or stop recording) every event of the run from now on: cast, spawn, hit (with the behavior it
+   * fired: split, pierce, fork, chain, pass or none, its damage and crit flag), split, fork, chain, pierce, bounce,
+   * expire, shock (with the target's stack count), ignite (with its damage per second), phase (with its action
+   * and life percentage) and kill. Each event is
+   * an object with the EVENT_FIELDS that apply, stamped with simulated time `t`; reset() starts a new log.
+   * A full log drops its oldest EVENT_LOG_TRIM events (counted in eventsDropped), so it keeps the recent run.
+   */
+  recordEvents(on = true) {
+    this.events = on ? [] : null;
+    this.eventsDropped = 0;
+  }
+
+  // Append an event about projectile slot p (or -1) at time t; `extra` holds the fields beyond the projectile's
+  logEvent(type, t, p, extra) {
+    if (this.events.length >= EVENT_LOG_MAX) {
+      this.events.splice(0, EVENT_LOG_TRIM);
+      this.eventsDropped += EVENT_LOG_TRIM;
+    }
+    const P = this.projectiles;
+    const ev = { t, type };
+    if (p >= 0) {
+      ev.castId = P.castId[p];
+      ev.projectileId = P.id[p];
+      ev.parentId = P.parentId[p];
+      ev.generation = P.generation[p];
+      ev.x = P.x[p];
+      ev.y = P.y[p];
+    }
+    this.events.push(extra ? Object.assign(ev, extra) : ev);
+  }
+
+  // Replace config (positions and extra enemies are live state and left alone). A new seed restarts the run.
+  setConfig(config) {
+    const prev = this.config;
+    this.config = normalizeConfig(Object.assign({}, config, { caster: this.caster, boss: this.boss, extraEnemies: this.enemies.slice(1) }));
+    if (this.config.arenaType !== prev.arenaType || this.config.customArena !== prev.customArena
+      || this.config.importedArena !== prev.importedArena) {
+      this.arena = createConfigArena(this.config);
+    }
+    this.boss.r = clamp(this.config.bossRadius, 0.1, 999);
+    this.wander = new Wander(this.config); // projectiles in flight keep their state and switch to the new parameters
+    // New life settings start the boss over at full life
+    if (this.config.bossLife !== prev.bossLife || this.config.bossEs !== prev.bossEs
+      || JSON.stringify(this.config.bossPhases) !== JSON.stringify(prev.bossPhases)) {
+      this.resetLife();
+    }
+    if (this.config.seed !== prev.seed) this.reset();
+    else if ((this.config.enemyMovement !== prev.enemyMovement || this.config.casterMovement !== prev.casterMovement) && this.movesEntities) {
+      this.resetMovement();
+    }
+  }
+
+  addEnemy(x, y, r) {
+    const enemy = new Entity(x, y, clamp(r || BOSS_RADIUS_UNITS, 0.1, 999), '#ff9f7a', 'e' + this.nextEnemyId++);
+    this.enemies.push(enemy);
+    return enemy;
+  }
+
+  // Boss at full life and energy shield, with its phases still to come
+  resetLife() {
+    this.life = this.config.bossLife;
+    this.es = this.config.bossEs;
+    this.lastBossDamageAt = -Infinity;
+    this.immuneUntil = 0;
+    this.nextPhase = 0; // index into config.bossPhases
+    this.bossTeleport = null; // radius of a teleport phase started this step
+    this.killTime = null; // simulated time of the killing blow; the run stops there
+  }
+
+  // Put the caster and every enemy back on their placed positions and restart their movement
+  resetMovement() {
+    this.moveRng = createRng(this.config.seed ^ 0x5bd1e995);
+    for (const enemy of this.enemies) {
+      enemy.x = enemy.homeX; enemy.y = enemy.homeY;
+      enemy.moveState = null;
+      this.moveEnemy(enemy, 0);
+      enemy.prevX = enemy.x; enemy.prevY = enemy.y;
+    }
+    const caster = this.caster;
+    caster.x = caster.homeX; caster.y = caster.homeY;
+    caster.moveState = null;
+    caster.prevX = caster.x; caster.prevY = caster.y;
+  }
+
+  // Advance the caster along its movement script by dt seconds
+  moveCaster(dt) {
+    const cfg = this.config;
+    const caster = this.caster;
+    const speed = Math.max(0, cfg.casterMoveSpeed);
+    if (cfg.casterMovement === 'static') return;
+    if (!caster.moveState) {
+      const dx = caster.homeX - this.boss.homeX; const dy = caster.homeY - this.boss.homeY;
+      caster.moveState = { pause: 0, target: 1, arc: 0, angle: Math.atan2(dy, dx), radius: Math.max(1, Math.hypot(dx, dy)) };
+    }
+    const st = caster.moveState;
+    if (st.pause > 0) { st.pause -= dt; return; }
+    if (cfg.casterMovement === 'kite') {
+      // Circle the boss (wherever it is now) at the placed distance, stopping every quarter turn
+      const dAngle = speed / st.radius * dt;
+      st.angle += dAngle;
+      st.arc += dAngle;
+      if (st.arc >= Math.PI / 2) { st.arc -= Math.PI / 2; st.pause = cfg.casterPause; }
+      caster.x = this.boss.x + Math.cos(st.angle) * st.radius;
+      caster.y = this.boss.y + Math.sin(st.angle) * st.radius;
+      return;
+    }
+    // Strafe / waypoints: walk the point list (home first), stopping at each point
+    const wps = cfg.casterWaypoints;
+    if (!wps.length) return;
+    const points = [{ x: caster.homeX, y: caster.homeY }].concat(cfg.casterMovement === 'strafe' ? wps.slice(0, 1) : wps);
+    let budget = speed * dt;
+    for (let i = 0; i <= points.length && budget > 0; i++) {
+      const target = points[st.target % points.length];
+      const dx = target.x - caster.x; const dy = target.y - caster.y;
+      const d = Math.hypot(dx, dy);
+      if (d > budget) {
+        caster.x += dx / d * budget;
+        caster.y += dy / d * budget;
+        return;
+      }
+      caster.x = target.x; caster.y = target.y;
+      budget -= d;
+      st.target = (st.target % points.length + 1) % points.length;
+      if (cfg.casterPause > 0) { st.pause = cfg.casterPause; return; }
+    }
+  }
+
+  // Advance one enemy along the configured movement pattern by dt seconds
+  moveEnemy(enemy, dt) {
+    const cfg = this.config;
+    const mode = cfg.enemyMovement;
+    const speed = Math.max(0, cfg.enemyMoveSpeed);
+    const range = Math.max(0, cfg.enemyMoveRange);
+    if (!enemy.moveState) {
+      enemy.moveState = { angle: 0, dist: 0, elapsed: 0, heading: mode === 'random' ? randRange(this.moveRng, 0, TWO_PI) : 0 };
+    }
+    const st = enemy.moveState;
+    if (mode === 'orbit') {
+      // Circle of radius `range` around home at `speed` along the path
+      if (range > 0) st.angle += speed / range * dt;
+      enemy.x = enemy.homeX + Math.cos(st.angle) * range;
+      enemy.y = enemy.homeY + Math.sin(st.angle) * range;
+    } else if (mode === 'patrol') {
+      // Back and forth along the x axis, home ± range
+      st.dist += speed * dt;
+      const u = range > 0 ? (st.dist / range) % 4 : 0;
+      const off = u < 1 ? u : u < 3 ? 2 - u : u - 4;
+      enemy.x = enemy.homeX + off * range;
+      enemy.y = enemy.homeY;
+    } else if (mode === 'random') {
+      // Noisy heading, turned back toward home when it strays beyond `range`
+      if (dt > 0) st.heading += gaussian(this.moveRng) * RANDOM_WALK_TURN * Math.sqrt(dt);
+      if (Math.hypot(enemy.x - enemy.homeX, enemy.y - enemy.homeY) > range) {
+        st.heading = Math.atan2(enemy.homeY - enemy.y, enemy.homeX - enemy.x);
+      }
+      enemy.x += Math.cos(st.heading) * speed * dt;
+      enemy.y += Math.sin(st.heading) * speed * dt;
+    } else if (mode === 'teleport') {
+      // Jump to a uniform point within `range` of home every teleportInterval seconds
+      st.elapsed += dt;
+      if (cfg.teleportInterval > 0 && st.elapsed >= cfg.teleportInterval) {
+        st.elapsed -= cfg.teleportInterval;
+        const a = randRange(this.moveRng, 0, TWO_PI);
+        const d = range * Math.sqrt(this.moveRng());
+        enemy.x = enemy.homeX + Math.cos(a) * d;
+        enemy.y = enemy.homeY + Math.sin(a) * d;
+        // A jump isn't motion: don't sweep projectiles across it
+        enemy.prevX = enemy.x; enemy.prevY = enemy.y;
+      }
+    } else if (mode === 'chase') {
+      // Walk straight at the caster and stop on contact
+      const dx = this.caster.x - enemy.x; const dy = this.caster.y - enemy.y;
+      const d = Math.hypot(dx, dy);
+      const gap = d - enemy.r - this.caster.r;
+      if (gap > 0) {
+        const stepLen = Math.min(speed * dt, gap);
+        enemy.x += dx / d * stepLen;
+        enemy.y += dy / d * stepLen;
+      }
+    }
+  }
+
+  // Remove an extra enemy (the boss stays); the array is edited in place since it may be shared
+  removeEnemy(enemy) {
+    const i = this.enemies.indexOf(enemy);
+    if (i > 0) this.enemies.splice(i, 1);
+  }
+
+  // Add a projectile and return its store slot
+  spawnProjectile(config) {
+    const P = this.projectiles;
+    const i = P.add();
+    P.id[i] = this.nextProjectileId++;
+    P.castId[i] = config.castId;
+    P.parentId[i] = 0;
+    P.generation[i] = 0;
+    P.x[i] = config.x;
+    P.y[i] = config.y;
+    P.angle[i] = config.angle;
+    P.speed[i] = config.speed;
+    P.aim(i);
+    P.spawnTime[i] = config.now;
+    P.duration[i] = config.duration;
+    P.pierce[i] = config.pierceCount;
+    P.fork[i] = config.forkTimes;
+    P.chain[i] = config.chainCount;
+    P.split[i] = config.splitCount; // number of new projectiles when split triggers
+    P.hasSplit[i] = 0;
+    this.wander.init(P, i, this.rng);
+    if (this.events) this.logEvent('spawn', config.now, i);
+    return i;
+  }
+
+  // Split/fork child of slot p at `angle`: same speed, remaining duration, behaviors and hit list
+  spawnChild(p, angle, now, forkTimes) {
+    const P = this.projectiles;
+    const i = P.add(); // may replace the arrays, so everything below reads them through P
+    P.id[i] = this.nextProjectileId++;
+    P.castId[i] = P.castId[p];
+    P.parentId[i] = P.id[p];
+    P.generation[i] = P.generation[p] + 1;
+    P.x[i] = P.x[p];
+    P.y[i] = P.y[p];
+    P.angle[i] = angle;
+    P.speed[i] = P.speed[p];
+    P.aim(i);
+    P.spawnTime[i] = now;
+    P.duration[i] = Math.max(0, P.duration[p] - P.age(p, now));
+    P.pierce[i] = P.pierce[p];
+    P.fork[i] = forkTimes;
+    P.chain[i] = P.chain[p];
+    P.split[i] = 0;
+    P.hasSplit[i] = 0;
+    const hits = P.hitIds[i];
+    for (const id of P.hitIds[p]) hits.push(id);
+    // Per-projectile cooldowns carry over, so a child can't hit its parent's targets sooner than the parent could
+    if (this.config.hitCooldownScope === 'projectile') {
+      for (const id of hits) {
+        const until = this.hitLocks.get(this.hitCooldownKey(p, id));
+        if (until !== undefined) this.hitLocks.set(this.hitCooldownKey(i, id), until);
+      }
+    }
+    this.wander.init(P, i, this.rng);
+    if (this.events) this.logEvent('spawn', now, i);
+    return i;
+  }
+
+  // Enemy behavior helpers (separate for clarity and testability); p is a projectile store slot
+  applySplit(p, now) {
+    const n = Math.max(1, this.projectiles.split[p]);
+    if (this.events) this.logEvent('split', now, p, { count: n });
+    for (let i = 0; i < n; i++) this.spawnChild(p, (i / n) * TWO_PI, now, this.projectiles.fork[p]);
+    return 'remove';
+  }
+
+  applyPierce(p, enemy, dx, dy, d, now) {
+    const P = this.projectiles;
+    P.pierce[p] -= 1;
+    if (this.events) this.logEvent('pierce', now, p, { target: enemy.id, count: P.pierce[p] });
+    // Nudge forward to avoid persistent overlap on the rim after a pierce
+    const nx = dx / (d || 1); const ny = dy / (d || 1);
+    P.x[p] = enemy.x + nx * (enemy.r + this.config.projRadius + 0.5);
+    P.y[p] = enemy.y + ny * (enemy.r + this.config.projRadius + 0.5);
+    return 'keep';
+  }
+
+  applyFork(p, now) {
+    const P = this.projectiles;
+    const base = Math.atan2(P.vy[p], P.vx[p]);
+    const spread = this.config.forkAngleDeg * DEG_TO_RAD;
+    const childAngles = [base + spread, base - spread];
+    if (this.rng() * 100 < this.config.forkChance) childAngles.push(base);
+    if (this.events) this.logEvent('fork', now, p, { count: childAngles.length });
+    for (const a of childAngles) this.spawnChild(p, a, now, P.fork[p] - 1);
+    return 'remove';
+  }
+
+  // Nearest enemy within chain range that this projectile hasn't hit yet
+  findChainTarget(p, from) {
+    const P = this.projectiles;
+    let best = null, bestDist = Infinity;
+    for (const enemy of this.enemies) {
+      if (enemy === from || P.hitIds[p].includes(enemy.id)) continue;
+      const d = Math.hypot(P.x[p] - enemy.x, P.y[p] - enemy.y);
+      if (d <= this.config.chainRange && d < bestDist) { best = enemy; bestDist = d; }
+    }
+    return best;
+  }
+
+  applyChain(p, enemy, dx, dy, d, now) {
+    const P = this.projectiles;
+    P.chain[p] -= 1;
+    const target = this.findChainTarget(p, enemy);
+    if (this.events) this.logEvent('chain', now, p, { target: target ? target.id : '', count: P.chain[p] });
+    if (target) {
+      // Redirect toward the next target, leaving from the rim on that side
+      const a = Math.atan2(target.y - enemy.y, target.x - enemy.x);
+      P.angle[p] = a;
+      P.aim(p);
+      P.x[p] = enemy.x + Math.cos(a) * (enemy.r + this.config.projRadius + 0.5);
+      P.y[p] = enemy.y + Math.sin(a) * (enemy.r + this.config.projRadius + 0.5);
+      return 'keep';
+    }
+    // Behave like pierce when no alternate target exists: continue through
+    const nx = dx / (d || 1); const ny = dy / (d || 1);
+    P.x[p] = enemy.x + nx * (enemy.r + this.config.projRadius + 0.5);
+    P.y[p] = enemy.y + ny * (enemy.r + this.config.projRadius + 0.5);
+    return 'keep';
+  }
+
+  // Clear the run and reseed, so a reset replays the same sequence for the same seed and inputs
+  reset() {
+    this.time = 0;
+    this.accum = 0;
+    this.projectiles.clear();
+    this.hitsTotal = 0;
+    this.totalDamage = 0;
+    this.hitTimestamps = [];
+    this.recentDamage = [];
+    this.damageBins = [];
+    this.steadyCache = null;
+    this.shocks.clear();
+    this.ignites.clear();
+    this.resetLife();
+    this.hitMarks = [];
+    if (this.events) this.recordEvents();
+    this.hitLocks.clear();
+    this.castAccumulator = 0;
+    this.rng = createRng(this.config.seed);
+    this.damageRng = createRng(this.config.seed ^ 0x27d4eb2f);
+    this.nextCastId = 1;
+    this.nextProjectileId = 1;
+    if (this.movesEntities) this.resetMovement();
+  }
+
+  emitCast(now) {
+    const cfg = this.config;
+    const count = cfg.projectileCount;
+    const angles = [];
+    if (cfg.castShape === 'circular') {
+      for (let i = 0; i < count; i++) angles.push(randRange(this.rng, 0, TWO_PI));
+    } else {
+      // Cone centered on facing; only emission uses this angle
+      const half = clamp(cfg.coneAngleDeg, 0, 360) * DEG_TO_RAD / 2;
+      const facing = (cfg.casterFacingDeg || 0) * DEG_TO_RAD;
+      for (let i = 0; i < count; i++) angles.push(facing + randRange(this.rng, -half, half));
+    }
+    const castId = this.nextCastId++;
+    if (this.events) this.logEvent('cast', now, -1, { castId, x: this.caster.x, y: this.caster.y, count });
+    for (const angle of angles) {
+      this.spawnProjectile({
+        castId,
+        x: this.caster.x,
+        y: this.caster.y,
+        angle,
+        speed: cfg.baseProjSpeed * (cfg.projSpeedMod || 1),
+        now,
+        duration: cfg.duration,
+        pierceCount: cfg.pierceCount,
+        forkTimes: cfg.forkTimes,
+        chainCount: cfg.chainCount,
+        splitCount: cfg.splitCount,
+      });
+    }
+  }
+
+  // Key of the hit cooldown slot p shares against a target: per cast, per projectile or skill-wide (hitCooldownScope)
+  hitCooldownKey(p, targetId) {
+    switch (this.config.hitCooldownScope) {
+      case 'projectile': return 'p' + this.projectiles.id[p] + '|' + targetId;
+      case 'global': return '|' + targetId;
+      default: return this.projectiles.castId[p] + '|' + targetId;
+    }
+  }
+
+  // True while slot p's hit cooldown against the target is active
+  isOnCooldown(p, targetId) {
+    return this.time < (this.hitLocks.get(this.hitCooldownKey(p, targetId)) || 0);
+  }
+
+  // A projectile never hits the same target twice, except under a per-projectile cooldown once it has run out
+  canHitAgain(p, targetId) {
+    return this.config.hitCooldownScope === 'projectile' && !this.isOnCooldown(p, targetId);
+  }
+
+  // Returns the hit's {damage, crit}, or null while the projectile's cooldown against this target is active
+  tryApplyHit(p, enemy, now) {
+    const key = this.hitCooldownKey(p, enemy.id);
+    const nextOk = this.hitLocks.get(key) || 0;
+    if (now >= nextOk) {
+      this.hitsTotal += 1;
+      this.hitTimestamps.push(now);
+      const hit = this.rollHit(p, enemy, now);
+      hit.damage = this.dealDamage(now, hit.damage, enemy);
+      if (this.hitMarks.length < HIT_MARKS_MAX * 2) {
+        this.hitMarks.push(this.enemies.indexOf(enemy), Math.atan2(this.projectiles.y[p] - enemy.y, this.projectiles.x[p] - enemy.x));
+      }
+      this.hitLocks.set(key, now + this.config.hitCooldownSec);
+      this.projectiles.hitIds[p].push(enemy.id);
+      return hit;
+    }
+    return null;
+  }
+
+  /**
+   * Damage of one hit on `enemy`: the rolled base, times the crit multiplier on a crit, times the shock stacks
+   * already on the enemy, less its resistance after penetration. The hit may then shock and ignite the enemy,
+   * so both only scale later damage.
+   */
+  rollHit(p, enemy, now) {
+    const cfg = this.config;
+    const rng = this.damageRng;
+    let base = randRange(rng, cfg.damageMin, cfg.damageMax);
+    const crit = rng() * 100 < cfg.critChance;
+    if (crit) base *= cfg.critMulti / 100;
+    // An immune boss takes no damage, shock or ignite from the hit
+    if (this.isImmune(enemy, now)) return { damage: 0, crit };
+    const damage = base * this.shockMultiplier(enemy.id, now) * Math.max(0, 1 - (cfg.enemyResist - cfg.penetration) / 100);
+    if (rng() * 100 < cfg.shockChance) {
+      const stacks = (this.shocks.get(enemy.id) || []).filter(until => until > now);
+      if (stacks.length >= cfg.shockStacks) stacks.splice(0, stacks.length - cfg.shockStacks + 1);
+      stacks.push(now + cfg.shockDuration);
+      this.shocks.set(enemy.id, stacks);
+      if (this.events) this.logEvent('shock', now, p, { target: enemy.id, count: stacks.length });
+    }
+    if (rng() * 100 < cfg.igniteChance) {
+      const dps = base * cfg.igniteDps / 100;
+      const burning = this.ignites.get(enemy.id) || [];
+      burning.push({ dps, until: now + cfg.igniteDuration });
+      this.ignites.set(enemy.id, burning);
+      if (this.events) this.logEvent('ignite', now, p, { target: enemy.id, damage: dps });
+    }
+    return { damage, crit };
+  }
+
+  // Damage comes off the boss's energy shield, then its life; phases fire as life crosses them, and 0 life
+  // is the kill that ends the run. Returns the damage actually taken (no overkill).
+  damageBoss(now, amount) {
+    const cfg = this.config;
+    if (this.killTime !== null || amount <= 0) return 0;
+    this.lastBossDamageAt = now;
+    const shield = Math.min(this.es, amount);
+    const taken = shield + Math.min(this.life, amount - shield);
+    this.es -= shield;
+    this.life -= amount - shield;
+    while (this.life > 0 && this.nextPhase < cfg.bossPhases.length && this.life <= cfg.bossLife * cfg.bossPhases[this.nextPhase].pct / 100) {
+      this.startPhase(cfg.bossPhases[this.nextPhase++], now);
+    }
+    if (this.life <= 0) {
+      this.life = 0;
+      this.killTime = now;
+      if (this.events) this.logEvent('kill', now, -1, { target: this.boss.id });
+    }
+    return taken;
+  }
+
+  // Immune: no damage until the phase's duration is over. Teleport: see teleportBoss.
+  startPhase(phase, now) {
+    if (phase.action === 'immune') this.immuneUntil = Math.max(this.immuneUntil, now + phase.duration);
+    else if (phase.action === 'teleport') this.bossTeleport = Math.max(this.bossTeleport || 0, phase.radius);
+    if (this.events) this.logEvent('phase', now, -1, { target: this.boss.id, behavior: phase.action, count: phase.pct });
+  }
+
+  // Phase teleport at the end of the step (collision sweeps move enemies mid-step): a jump to a uniform point
+  // within the phase's radius of the boss's placed position. Only the engine moving the entities moves it.
+  teleportBoss() {
+    const boss = this.boss;
+    const radius = this.bossTeleport;
+    this.bossTeleport = null;
+    if (!this.movesEntities) return;
+    const a = randRange(this.moveRng, 0, TWO_PI);
+    const d = radius * Math.sqrt(this.moveRng());
+    boss.x = boss.homeX + Math.cos(a) * d;
+    boss.y = boss.homeY + Math.sin(a) * d;
+    boss.prevX = boss.x; boss.prevY = boss.y;
+  }
+
+  // Boss life regeneration, and energy shield recharge once it has gone ES_RECHARGE_DELAY_SEC without damage
+  regenBoss(now, dt) {
+    const cfg = this.config;
+    this.life = Math.min(cfg.bossLife, this.life + cfg.bossRegen * dt);
+    if (now - this.lastBossDamageAt >= ES_RECHARGE_DELAY_SEC) this.es = Math.min(cfg.bossEs, this.es + cfg.bossEs * ES_RECHARGE_RATE * dt);
+  }
+
+  // Damage taken multiplier from the enemy's live shock stacks
+  shockMultiplier(id, now) {
+    const stacks = this.shocks.get(id);
+    if (!stacks) return 1;
+    let live = 0;
+    for (const until of stacks) if (until > now) live++;
+    return 1 + live * this.config.shockEffect / 100;
+  }
+
+  // Each enemy's strongest ignite burns for dt (shocks apply, penetration doesn't); expired ones and ignites on
+  // enemies no longer in the fight are dropped
+  burnIgnites(now, dt) {
+    const resist = Math.max(0, 1 - this.config.enemyResist / 100);
+    for (const [id, burning] of this.ignites) {
+      const live = burning.filter(ig => ig.until > now);
+      const enemy = this.enemies.find(e => e.id === id);
+      if (!live.length || !enemy) { this.ignites.delete(id); continue; }
+      if (live.length !== burning.length) this.ignites.set(id, live);
+      if (this.isImmune(enemy, now)) continue;
+      let dps = 0;
+      for (const ig of live) dps = Math.max(dps, ig.dps);
+      this.dealDamage(now, dps * dt * this.shockMultiplier(id, now) * resist, enemy);
+    }
+  }
+
+  // A boss phase can make the boss immune for a while
+  isImmune(enemy, now) { return enemy === this.boss && now < this.immuneUntil; }
+
+  // Book damage on the run total, the rolling DPS window and the steady-state bins, and on the boss's life pool.
+  // Nothing counts after the kill, and a hit on the boss counts only the life and shield it removed. Returns the
+  // damage booked.
+  dealDamage(now, amount, enemy) {
+    if (this.killTime !== null) return 0;
+    if (enemy === this.boss && this.config.bossLife > 0) amount = this.damageBoss(now, amount);
+    this.totalDamage += amount;
+    this.recentDamage.push([now, amount]);
+    const bin = Math.floor(now / DAMAGE_BIN_SEC);
+    while (this.damageBins.length <= bin) this.damageBins.push(0);
+    this.damageBins[bin] += amount;
+    return amount;
+  }
+
+  handleProjectileEnemyCollision(p, enemy, now) {
+    const P = this.projectiles;
+    // Check circle overlap
+    const dx = P.x[p] - enemy.x; const dy = P.y[p] - enemy.y;
+    const d = Math.hypot(dx, dy);
+    if (d <= this.config.projRadius + enemy.r) {
+      const hit = this.tryApplyHit(p, enemy, now);
+      if (hit) {
+        // Only one behavior can occur per collision: the first available in the profile's priority
+        // (Spark: Split -> Pierce -> Fork -> Chain)
+        const available = {
+          split: !P.hasSplit[p] && P.split[p] > 0,
+          pierce: P.pierce[p] > 0,
+          fork: P.fork[p] > 0,
+          chain: P.chain[p] > 0,
+        };
+        // None left: absorbed on hit, or flies on ('pass') with passThrough
+        const behavior = this.config.behaviorOrder.find(b => available[b]) || (this.config.passThrough ? 'pass' : 'none');
+        if (this.events) this.logEvent('hit', now, p, { target: enemy.id, behavior, damage: hit.damage, crit: hit.crit ? 1 : 0 });
+
+        switch (behavior) {
+          // Split (even 360° emission)
+          case 'split':
+            P.hasSplit[p] = 1;
+            return this.applySplit(p, now);
+          case 'pierce':
+            return this.applyPierce(p, enemy, dx, dy, d, now);
+          case 'fork':
+            return this.applyFork(p, now);
+          // Chain (nearest unhit enemy in range; none → behave like pierce)
+          case 'chain':
+            return this.applyChain(p, enemy, dx, dy, d, now);
+          case 'pass':
+            return 'keep';
+        }
+        return 'remove';
+      } else {
+        // No hit registered due to the hit cooldown; pass through without behaviors
+      }
+    }
+    return 'keep';
+  }
+
+  attemptBehavioursOnTerrainCollision(p) {
+    // Behaviors (split/pierce/fork/chain) are enemy-only in this sim. Terrain only reflects.
+    return 'keep';
+  }
+
+  // Bucket enemies by the box each one sweeps this step (with room for its radius and a projectile's)
+  buildEnemyGrid() {
+    const grid = this.enemyGrid;
+    grid.clear(this.enemies.length);
+    this.enemies.forEach((e, i) => {
+      const pad = e.r + this.config.projRadius;
+      grid.insert(i, Math.min(e.x, e.prevX) - pad, Math.min(e.y, e.prevY) - pad, Math.max(e.x, e.prevX) + pad, Math.max(e.y, e.prevY) + pad);
+    });
+  }
+
+  // Earliest contact of slot p moving (dx, dy) with an enemy over step fraction [u0, u1], or null.
+  // `passed` (or null) lists enemies to skip.
+  sweepEnemies(p, dx, dy, u0, u1, passed) {
+    const P = this.projectiles;
+    const px = P.x[p]; const py = P.y[p];
+    const useGrid = this.enemies.length >= ENEMY_GRID_MIN_ENEMIES;
+    // The enemy boxes cover their whole step, so the projectile's own sweep box is enough to query
+    const n = useGrid
+      ? this.enemyGrid.query(Math.min(px, px + dx), Math.min(py, py + dy), Math.max(px, px + dx), Math.max(py, py + dy))
+      : this.enemies.length;
+    const found = this.enemyGrid.found;
+    let best = null, bestIndex = -1;
+    for (let k = 0; k < n; k++) {
+      const index = useGrid ? found[k] : k;
+      const enemy = this.enemies[index];
+      if ((P.hitIds[p].includes(enemy.id) && !this.canHitAgain(p, enemy.id)) || (passed && passed.includes(enemy))) continue;
+      // Enemies move linearly from prev to current over the step, so sweep in each enemy's frame of reference
+      const mx = enemy.x - enemy.prevX; const my = enemy.y - enemy.prevY;
+      const ex = enemy.prevX + mx * u0; const ey = enemy.prevY + my * u0;
+      const edx = mx * (u1 - u0); const edy = my * (u1 - u0);
+      const t = sweptCircleHitT(px, py, dx - edx, dy - edy, ex, ey, this.config.projRadius + enemy.r);
+      // Ties go to the earlier enemy, as in a scan of the list
+      if (t !== null && (!best || t < best.t || (t === best.t && index < bestIndex))) {
+        best = { t, enemy, x: ex + edx * t, y: ey + edy * t };
+        bestIndex = index;
+      }
+    }
+    return best;
+  }
+
+  step(dt) {
+    const now = this.time;
+
+    // Move enemies first; the CCD below sweeps projectiles against each enemy's motion over this step
+    if (this.movesEntities) {
+      for (const enemy of this.enemies) {
+        enemy.prevX = enemy.x; enemy.prevY = enemy.y;
+        if (!enemy.drag) this.moveEnemy(enemy, dt);
+      }
+      this.caster.prevX = this.caster.x; this.caster.prevY = this.caster.y;
+      if (!this.caster.drag) this.moveCaster(dt);
+    }
+    if (this.enemies.length >= ENEMY_GRID_MIN_ENEMIES) this.buildEnemyGrid();
+
+    // Emit based on cast speed, from wherever the caster is now. Moving interrupts casting unless allowed.
+    const casterMoving = this.caster.x !== this.caster.prevX || this.caster.y !== this.caster.prevY;
+    if (casterMoving && !this.config.castWhileMoving) {
+      this.castAccumulator = 0;
+    } else if (this.running) {
+      this.castAccumulator += dt;
+      while (this.castAccumulator >= this.config.castInterval) {
+        this.castAccumulator -= this.config.castInterval;
+        this.emitCast(now);
+      }
+    }
+
+    // Update projectiles with sub-stepped CCD (prevents tunneling at high speeds). Survivors are compacted
+    // forward in order; children spawned on a hit land at the end and still move this step.
+    const P = this.projectiles;
+    let kept = 0;
+    for (let p = 0; p < P.count; p++) {
+      if (P.isExpired(p, now)) {
+        if (this.events) this.logEvent('expire', P.spawnTime[p] + P.duration[p], p);
+        continue;
+      }
+      P.angle[p] = this.wander.step(P, p, P.angle[p], dt, this.rng);
+      P.aim(p);
+
+      const speed = Math.hypot(P.vx[p], P.vy[p]);
+      const totalDist = speed * dt;
+      const steps = Math.max(1, Math.ceil(totalDist / this.maxTerrainStepUnits));
+      const subdt = dt / steps;
+
+      let removed = false;
+      for (let s = 0; s < steps && !removed; s++) {
+        // Advance through the substep contact by contact: resolve the earliest enemy or wall contact, then
+        // carry on with the new velocity for the rest of the substep (several bounces can happen in one).
+        let elapsed = 0; // seconds of this substep already travelled
+        let contacts = 0;
+        let passed = null; // enemies already contacted this substep (hit, or passed through on cooldown)
+        while (elapsed < subdt && contacts <= MAX_CONTACTS_PER_SUBSTEP) {
+          const span = subdt - elapsed;
+          const dx = P.vx[p] * span;
+          const dy = P.vy[p] * span;
+          const u0 = (s * subdt + elapsed) / dt; const u1 = (s + 1) * subdt / dt;
+          const hit = this.sweepEnemies(p, dx, dy, u0, u1, passed);
+          const wall = this.arena.sweepCircle(P.x[p], P.y[p], dx, dy, this.config.projRadius);
+
+          if (wall && (!hit || wall.t < hit.t)) {
+            // Terrain: advance to contact, step off the wall and reflect
+            P.x[p] += dx * wall.t + wall.nx * CONTACT_SKIN_UNITS;
+            P.y[p] += dy * wall.t + wall.ny * CONTACT_SKIN_UNITS;
+            P.reflect(p, wall.nx, wall.ny);
+            elapsed += span * wall.t;
+            contacts++;
+            if (this.events) this.logEvent('bounce', now + s * subdt + elapsed, p);
+            if (this.attemptBehavioursOnTerrainCollision(p) === 'remove') { removed = true; break; }
+          } else if (hit) {
+            P.x[p] += dx * hit.t;
+            P.y[p] += dy * hit.t;
+            elapsed += span * hit.t;
+            contacts++;
+            const enemy = hit.enemy;
+            (passed || (passed = [])).push(enemy);
+            const collisionTime = now + s * subdt + elapsed;
+            // Resolve the hit against where the enemy was at contact time
+            const ex = enemy.x; const ey = enemy.y;
+            enemy.x = hit.x; enemy.y = hit.y;
+            const enemyRes = this.handleProjectileEnemyCollision(p, enemy, collisionTime);
+            enemy.x = ex; enemy.y = ey;
+            if (enemyRes === 'remove') { removed = true; break; }
+          } else {
+            P.x[p] += P.vx[p] * span;
+            P.y[p] += P.vy[p] * span;
+            elapsed = subdt;
+          }
+        }
+      }
+      if (removed) continue;
+
+      if (kept !== p) P.move(p, kept);
+      kept++;
+    }
+    P.count = kept;
+    if (this.ignites.size) this.burnIgnites(now, dt);
+    if (this.config.bossLife > 0 && this.killTime === null) this.regenBoss(now, dt);
+    if (this.bossTeleport !== null) this.teleportBoss();
+    this.time += dt;
+
+    // Cleanup old hit timestamps beyond the rate window
+    const cutoff = this.time - HIT_RATE_WINDOW_SEC;
+    while (this.hitTimestamps.length && this.hitTimestamps[0] < cutoff) this.hitTimestamps.shift();
+    while (this.recentDamage.length && this.recentDamage[0][0] < cutoff) this.recentDamage.shift();
+  }
+
+  // Rolling hits per second over HIT_RATE_WINDOW_SEC of simulated time
+  hitsPerSec() { return this.hitTimestamps.length / HIT_RATE_WINDOW_SEC; }
+
+  // Rolling damage per second (hits and ignite) over the same window
+  dps() {
+    let sum = 0;
+    for (const [, amount] of this.recentDamage) sum += amount;
+    return sum / HIT_RATE_WINDOW_SEC;
+  }
+
+  /**
+   * DPS split into warm-up and sustained parts, from the damage bins of the run so far:
+   * - burstDps: damage over the first config.burstSec seconds (null until the run gets there). When the boss dies
+   *   first, it is the damage up to the kill over the time to kill, and burstSec is that time
+   * - steadyTime: start of the first steadyWindowSec window whose DPS comes within steadyTolerancePct of the
+   *   DPS from that point to now (above or below), i.e. where the ramp-up or opening burst settles
+   * - steadyDps: DPS from steadyTime to now
+   * Both steady values are null until STEADY_MIN_WINDOWS windows of run follow a candidate start. Only whole bins
+   * count, and the result is cached until the next bin completes.
+   */
+  steadyState() {
+    const { steadyWindowSec, steadyTolerancePct, burstSec } = this.config;
+    const n = Math.floor(this.time / DAMAGE_BIN_SEC + 1e-9);
+    const cache = this.steadyCache;
+    if (cache && cache.n === n && cache.window === steadyWindowSec && cache.tolerance === steadyTolerancePct && cache.burst === burstSec
+      && cache.killTime === this.killTime) {
+      return cache.result;
+    }
+    // Damage from bin i to the end of bin n - 1
+    const after = new Float64Array(n + 1);
+    for (let i = n - 1; i >= 0; i--) after[i] = after[i + 1] + (this.damageBins[i] || 0);
+    const result = { burstSec, burstDps: null, steadyTime: null, steadyDps: null };
+    const burstBins = Math.max(1, Math.round(burstSec / DAMAGE_BIN_SEC));
+    if (n >= burstBins) result.burstDps = (after[0] - after[burstBins]) / (burstBins * DAMAGE_BIN_SEC);
+    else if (this.killTime !== null && this.killTime > 0) {
+      // The kill's bin isn't whole, but no more damage comes after it
+      result.burstSec = this.killTime;
+      result.burstDps = (after[0] + (this.damageBins[n] || 0)) / this.killTime;
+    }
+    const w = Math.max(1, Math.round(steadyWindowSec / DAMAGE_BIN_SEC));
+    const tol = steadyTolerancePct / 100;
+    for (let i = 0; n - i >= w * STEADY_MIN_WINDOWS; i++) {
+      const rest = after[i] / ((n - i) * DAMAGE_BIN_SEC);
+      const windowDps = (after[i] - after[i + w]) / (w * DAMAGE_BIN_SEC);
+      if (Math.abs(windowDps - rest) <= tol * rest) {
+        result.steadyTime = i * DAMAGE_BIN_SEC;
+        result.steadyDps = rest;
+        break;
+      }
+    }
+    this.steadyCache = { n, window: steadyWindowSec, tolerance: steadyTolerancePct, burst: burstSec, killTime: this.killTime, result };
+    return result;
+  }
+
+  // Plain-object copy of live projectiles (safe to post across threads or serialize)
+  snapshotProjectiles() {
+    const P = this.projectiles;
+    const out = [];
+    for (let i = 0; i < P.count; i++) {
+      out.push({ id: P.id[i], castId: P.castId[i], x: P.x[i], y: P.y[i], vx: P.vx[i], vy: P.vy[i], age: P.age(i, this.time) });
+    }
+    return out;
+  }
+
+  /**
+   * Compact state for a renderer: projectiles as a Float32Array of [x, y, onCooldown] triples (1 while the
+   * projectile's hit cooldown against the boss is active), the counters the stats panel shows and the hit locations
+   * since the last call. The buffers are fresh each call, so they can be transferred to another thread.
+   */
+  packFrame() {
+    const P = this.projectiles;
+    const buf = new Float32Array(P.count * 3);
+    const casts = new Map(); // cooldown key against the boss -> on cooldown; looked up once per key
+    let castsOnCooldown = 0;
+    for (let i = 0; i < P.count; i++) {
+      const key = this.hitCooldownKey(i, 'boss');
+      let cd = casts.get(key);
+      if (cd === undefined) {
+        cd = this.time < (this.hitLocks.get(key) || 0);
+        casts.set(key, cd);
+        if (cd) castsOnCooldown++;
+      }
+      buf[i * 3] = P.x[i];
+      buf[i * 3 + 1] = P.y[i];
+      buf[i * 3 + 2] = cd ? 1 : 0;
+    }
+    return {
+      time: this.time,
+      running: this.running,
+      hitsTotal: this.hitsTotal,
+      totalDamage: this.totalDamage,
+      hitsPerSec: this.hitsPerSec(),
+      dps: this.dps(),
+      projectileCount: P.count,
+      cooldownPct: casts.size ? (castsOnCooldown / casts.size) * 100 : 0, // share of live cooldown groups (casts, projectiles or the skill) locked out of the boss
+      bossLife: this.life,
+      bossEs: this.es,
+      bossImmune: this.time < this.immuneUntil,
+      killTime: this.killTime,
+      steady: this.steadyState(),
+      projectiles: buf,
+      hitMarks: Float32Array.from(this.hitMarks.splice(0)), // [enemy index, angle] per hit since the last frame
+    };
+  }
+
+  // Caster then enemy positions as [x, y] pairs (Float32Array, transferable)
+  packEntities() {
+    const buf = new Float32Array((this.enemies.length + 1) * 2);
+    buf[0] = this.caster.x; buf[1] = this.caster.y;
+    this.enemies.forEach((e, i) => { buf[i * 2 + 2] = e.x; buf[i * 2 + 3] = e.y; });
+    return buf;
+  }
+
+  // Advance simulated time by `seconds` in fixed steps (remainder carries over to the next call)
+  tick(seconds) {
+    this.accum += seconds;
+    // A killed boss ends the run: the clock stops there
+    while (this.accum >= this.fixedDt && this.killTime === null) {
+      this.step(this.fixedDt);
+      this.accum -= this.fixedDt;
+    }
+  }
+
+  /**
+   * Like tick(), but returns hits/damage dealt during this call, running totals and the projectile
+   * state afterwards.
+   */
+  advance(seconds) {
+    const hits0 = this.hitsTotal;
+    const damage0 = this.totalDamage;
+    this.tick(seconds);
+    return {
+      time: this.time,
+      hits: this.hitsTotal - hits0,
+      damage: this.totalDamage - damage0,
+      hitsTotal: this.hitsTotal,
+      totalDamage: this.totalDamage,
+      projectiles: this.snapshotProjectiles(),
+    };
+  }
+}
+
+function createEngine(config) { return new Engine(config); }
+
+// Event log as CSV text: a header of EVENT_FIELDS, then one row per event (blank where a field doesn't apply)
+function eventsToCSV(events) {
+  const cell = (v) => (v === undefined ? '' : typeof v === 'string' && /[",\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : String(v));
+  const rows = [EVENT_FIELDS.join(',')];
+  for (const ev of events) rows.push(EVENT_FIELDS.map(k => cell(ev[k])).join(','));
+  return rows.join('\n') + '\n';
+}
+
+/**
+ * Advance live engines together by `seconds` in chunks of `chunkSec`, stopping early at `deadline`
+ * (performance.now() ms) so a frame or message budget holds. Engines sharing moving entities need
+ * chunkSec = fixedDt so each one sees the entities where the mover left them. Returns seconds advanced.
+ */
+function advanceEngines(engines, seconds, chunkSec, deadline) {
+  // Stopped with nothing in flight, or the boss is dead: keep the clock still
+  if (engines.every(e => e.killTime !== null || (!e.running && !e.projectiles.count))) return 0;
+  let done = 0;
+  while (done < seconds && performance.now() < deadline) {
+    const chunk = Math.min(seconds - done, chunkSec);
+    for (const e of engines) e.tick(chunk);
+    done += chunk;
+  }
+  return done;
+}
+
+/* Batch statistics (Monte Carlo trials) */
+
+// Seed for trial i of a batch: spread consecutive trials across the seed space
+function trialSeed(baseSeed, i) { return (baseSeed + Math.imul(i, 0x9E3779B9)) >>> 0; }
+
+// Run one trial for `seconds` of simulated time, or until the boss dies; DPS is total damage over the run
+function runTrial(config, seconds) {
+  const engine = createEngine(config);
+  const res = engine.advance(seconds);
+  return {
+    seed: engine.config.seed,
+    hits: res.hitsTotal,
+    damage: res.totalDamage,
+    dps: res.time > 0 ? res.totalDamage / res.time : 0,
+    ttk: engine.killTime, // null when the boss survives (or has no life pool)
+  };
+}
+
+// Run `trials` independent trials (seeds derived from config.seed) and summarize their DPS
+function runTrials(config, trials, seconds) {
+  const base = normalizeConfig(config);
+  const results = [];
+  for (let i = 0; i < trials; i++) {
+    results.push(runTrial(Object.assign({}, base, { seed: trialSeed(base.seed, i) }), seconds));
+  }
+  return { results, summary: summarize(results.map(r => r.dps)) };
+}
+
+// Numeric fields a sweep can vary (with default ranges); casterDistance moves the caster along the boss→caster line
+const SWEEP_PARAMS = [
+  { key: 'projectileCount', label: 'Projectiles per Cast', from: 2, to: 16, step: 2 },
+  { key: 'projSpeedMod', label: 'Projectile Speed Mod', from: 0.5, to: 3, step: 0.25 },
+  { key: 'duration', label: 'Duration (s)', from: 0.5, to: 4, step: 0.5 },
+  { key: 'castSpeed', label: 'Cast Speed (casts/s)', from: 1, to: 8, step: 1 },
+  { key: 'pierceCount', label: 'Pierce Count', from: 0, to: 5, step: 1 },
+  { key: 'forkTimes', label: 'Fork count', from: 0, to: 3, step: 1 },
+  { key: 'chainCount', label: 'Chain Count', from: 0, to: 5, step: 1 },
+  { key: 'splitCount', label: 'Split: projectile count', from: 0, to: 6, step: 1 },
+  { key: 'bossRadius', label: 'Enemy Radius (units)', from: 1, to: 10, step: 1 },
+  { key: 'hitCooldownSec', label: 'Hit Cooldown (s)', from: 0, to: 1.5, step: 0.25 },
+  { key: 'forkAngleDeg', label: 'Fork Angle (°)', from: 15, to: 90, step: 15 },
+  { key: 'casterDistance', label: 'Caster–Boss Distance (units)', from: 10, to: 150, step: 20 },
+  { key: 'enemyMoveSpeed', label: 'Enemy Move Speed (units/s)', from: 0, to: 80, step: 10 },
+  { key: 'casterMoveSpeed', label: 'Caster Move Speed (units/s)', from: 0, to: 80, step: 10 },
+  { key: 'wanderIntensity', label: 'Wander Intensity', from: 0, to: 1.5, step: 0.25 },
+  { key: 'wanderRate', label: 'Wander Events (/s)', from: 1, to: 6, step: 1 },
+];
+
+// Copy of config with one sweep parameter set
+function withSweepValue(config, key, value) {
+  const cfg = normalizeConfig(config);
+  if (key !== 'casterDistance') { cfg[key] = value; return normalizeConfig(cfg); }
+  const { caster, boss } = cfg;
+  const d = Math.hypot(caster.x - boss.x, caster.y - boss.y);
+  const ux = d > 0 ? (caster.x - boss.x) / d : -1;
+  const uy = d > 0 ? (caster.y - boss.y) / d : 0;
+  cfg.caster = { x: boss.x + ux * value, y: boss.y + uy * value };
+  return cfg;
+}
+
+// Inclusive from..to by step (float-safe, capped)
+function sweepValues(from, to, step, maxCount = 100) {
+  const out = [];
+  if (!(step > 0)) return [from];
+  for (let i = 0; out.length < maxCount; i++) {
+    const v = Number((from + i * step).toFixed(6));
+    if (v > to + step * 1e-6) break;
+    out.push(v);
+  }
+  return out;
+}
+
+// Sweep one parameter; every value reuses the same trial seeds so differences come from the parameter
+function runSweep(config, key, values, trials, seconds) {
+  return values.map(value => ({ value, summary: runTrials(withSweepValue(config, key, value), trials, seconds).summary }));
+}
+
+/**
+ * Caster spots for a position scan: centers of a cells × cells grid over the arena's footprint
+ * (±ARENA_RADIUS_UNITS) that a caster can reach from the boss without crossing a wall (flood fill between
+ * neighboring cells), clear of walls and enemies. Returns {cellSize, x0, y0, cells, spots: [{ix, iy, x, y}]}.
+ */
+function casterSpots(config, cells) {
+  const cfg = normalizeConfig(config);
+  const arena = createConfigArena(cfg);
+  const cellSize = (ARENA_RADIUS_UNITS * 2) / cells;
+  const x0 = -ARENA_RADIUS_UNITS, y0 = -ARENA_RADIUS_UNITS;
+  const center = (ix, iy) => ({ x: x0 + (ix + 0.5) * cellSize, y: y0 + (iy + 0.5) * cellSize });
+  const enemies = [{ x: cfg.boss.x, y: cfg.boss.y, r: cfg.bossRadius }].concat(cfg.extraEnemies);
+  const clear = (p) => !arena.collideCircle(p.x, p.y, CASTER_RADIUS_UNITS).hit
+    && enemies.every(e => Math.hypot(p.x - e.x, p.y - e.y) > e.r + CASTER_RADIUS_UNITS);
+  const inside = (ix, iy) => ix >= 0 && iy >= 0 && ix < cells && iy < cells;
+
+  // Start from the cell holding the boss, then spread to neighbors a caster could walk to
+  const seen = new Uint8Array(cells * cells);
+  const start = [Math.floor((cfg.boss.x - x0) / cellSize), Math.floor((cfg.boss.y - y0) / cellSize)];
+  const queue = inside(start[0], start[1]) ? [start] : [];
+  if (queue.length) seen[start[1] * cells + start[0]] = 1;
+  const spots = [];
+  while (queue.length) {
+    const [ix, iy] = queue.shift();
+    const p = center(ix, iy);
+    if (clear(p)) spots.push({ ix, iy, x: p.x, y: p.y });
+    for (const [nx, ny] of [[ix + 1, iy], [ix - 1, iy], [ix, iy + 1], [ix, iy - 1]]) {
+      if (!inside(nx, ny) || seen[ny * cells + nx]) continue;
+      const q = center(nx, ny);
+      if (arena.sweepCircle(p.x, p.y, q.x - p.x, q.y - p.y, CASTER_RADIUS_UNITS)) continue;
+      seen[ny * cells + nx] = 1;
+      queue.push([nx, ny]);
+    }
+  }
+  return { cellSize, x0, y0, cells, spots };
+}
+
+// Mean DPS per caster spot (see casterSpots); every spot reuses the same trial seeds
+function runPositionScan(config, cells, trials, seconds) {
+  const grid = casterSpots(config, cells);
+  for (const spot of grid.spots) {
+    spot.summary = runTrials(Object.assign({}, config, { caster: { x: spot.x, y: spot.y } }), trials, seconds).summary;
+  }
+  return grid;
+}
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26 erf approximation, |error| < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Paired comparison of per-seed DPS samples (b against a). Returns means, the mean difference with its
+ * 95% CI (also as % of a) and a two-sided p-value (normal approximation).
+ */
+function comparePaired(a, b) {
+  const n = Math.min(a.length, b.length);
+  const diffs = [];
+  for (let i = 0; i < n; i++) diffs.push(b[i] - a[i]);
+  const d = summarize(diffs);
+  const meanA = summarize(a.slice(0, n)).mean;
+  const meanB = summarize(b.slice(0, n)).mean;
+  const se = n > 0 ? d.sd / Math.sqrt(n) : NaN;
+  const z = se > 0 ? d.mean / se : (d.mean === 0 ? 0 : Infinity);
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+  const pct = (v) => (meanA ? (v / meanA) * 100 : NaN);
+  return {
+    n,
+    meanA,
+    meanB,
+    diff: d.mean,
+    diffPct: pct(d.mean),
+    ci95: d.ci95,
+    ci95Pct: [pct(d.ci95[0]), pct(d.ci95[1])],
+    pValue,
+    significant: pValue < 0.05,
+  };
+}
+
+// A/B batch: both builds run the same trial seeds (common random numbers), compared pairwise
+function runComparison(configA, configB, trials, seconds) {
+  const a = runTrials(configA, trials, seconds).results.map(r => r.dps);
+  const b = runTrials(Object.assign({}, configB, { seed: normalizeConfig(configA).seed }), trials, seconds).results.map(r => r.dps);
+  return comparePaired(a, b);
+}
+
+// Linear-interpolated percentile of an ascending array, p in [0,100]
+function percentile(sorted, p) {
+  if (!sorted.length) return NaN;
+  const idx = clamp(p / 100, 0, 1) * (sorted.length - 1);
+  const lo = Math.floor(idx), hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+// Mean, sample standard deviation, 95% CI of the mean (normal approximation) and percentiles
+function summarize(values) {
+  const n = values.length;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mean = n ? values.reduce((acc, v) => acc + v, 0) / n : NaN;
+  const variance = n > 1 ? values.reduce((acc, v) => acc + (v - mean) * (v - mean), 0) / (n - 1) : 0;
+  const sd = Math.sqrt(variance);
+  const half = n ? 1.96 * sd / Math.sqrt(n) : NaN;
+  return {
+    n,
+    mean,
+    sd,
+    ci95: [mean - half, mean + half],
+    min: sorted[0],
+    max: sorted[n - 1],
+    p5: percentile(sorted, 5),
+    p25: percentile(sorted, 25),
+    p50: percentile(sorted, 50),
+    p75: percentile(sorted, 75),
+    p95: percentile(sorted, 95),
+  };
+}
+
+// Equal-width histogram: {min, max, counts}
+function histogram(values, bins) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const counts = new Array(bins).fill(0);
+  for (const v of values) counts[Math.min(bins - 1, Math.floor(((v - min) / span) * bins))] += 1;
+  return { min, max, counts };
+}
+
+/* Motion calibration: fit the Spark wander parameters to a tracked trajectory */
+
+// Heading is measured over windows this long (seconds); shorter windows let tracking noise through
+const CALIBRATION_WINDOW_SEC = 0.1;
+// A turn between consecutive windows larger than this (degrees) counts as a heading-change event
+const CALIBRATION_EVENT_DEG = 15;
+// Events closer than this to the previous one (seconds) belong to its burst (adjacent windows at the default)
+const CALIBRATION_BURST_SEC = 0.15;
+// Turns above this (degrees) count as large when matching the large-event share
+const CALIBRATION_LARGE_DEG = 45;
+// Simulated track length (seconds) and matching passes for the fit
+const CALIBRATION_SIM_SEC = 120;
+const CALIBRATION_ITERATIONS = 16;
+
+/**
+ * Parse tracked positions from CSV text with a header naming the time and position columns
+ * (e.g. "Frame,Time (s),X,Y" as written by track.py). Rows with missing values are skipped.
+ * Returns [{t, x, y}] in time order.
+ */
+function parseTrajectoryCSV(text) {
+  const lines = String(text).split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) throw new Error('the file is empty');
+  const header = lines[0].split(',').map(h => h.trim().toLowerCase());
+  const column = (test) => header.findIndex(test);
+  const ti = column(h => h.startsWith('time') || h === 't');
+  const xi = column(h => h === 'x' || h.startsWith('x '));
+  const yi = column(h => h === 'y' || h.startsWith('y '));
+  if (ti < 0 || xi < 0 || yi < 0) throw new Error('expected Time, X and Y columns in the header');
+  const points = [];
+  for (const line of lines.slice(1)) {
+    const cells = line.split(',');
+    const t = parseFloat(cells[ti]), x = parseFloat(cells[xi]), y = parseFloat(cells[yi]);
+    if (Number.isFinite(t) && Number.isFinite(x) && Number.isFinite(y)) points.push({ t, x, y });
+  }
+  points.sort((a, b) => a.t - b.t);
+  if (points.length < 3) throw new Error('need at least 3 tracked points');
+  return points;
+}
+
+function wrapAngle(a) { return a - TWO_PI * Math.round(a / TWO_PI); }
+
+// Positions every step seconds from the first point, interpolated linearly (tracking gaps become straight segments)
+function resampleTrack(points, step) {
+  const t0 = points[0].t;
+  const count = Math.floor((points[points.length - 1].t - t0) / step) + 1;
+  const xs = new Float64Array(count), ys = new Float64Array(count);
+  let j = 0;
+  for (let k = 0; k < count; k++) {
+    const t = t0 + k * step;
+    while (j < points.length - 2 && points[j + 1].t < t) j++;
+    const a = points[j], b = points[j + 1];
+    const u = b.t > a.t ? clamp((t - a.t) / (b.t - a.t), 0, 1) : 0;
+    xs[k] = a.x + (b.x - a.x) * u;
+    ys[k] = a.y + (b.y - a.y) * u;
+  }
+  return { xs, ys };
+}
+
+/**
+ * Heading-change statistics of a track. Positions are resampled on a regular grid, headings taken over
+ * consecutive windows, and turns above the event threshold counted as events.
+ * opts: {windowSec, eventDeg, burstSec}. Returns {duration, windows, rate (events/s), burstShare (share of
+ * events that start a burst), jitterDeg (spread of the other turns, degrees per sqrt(second)),
+ * angles (event turns, degrees), intervals (seconds between events), speed (median, track units/s)}.
+ */
+function trajectoryStats(points, opts = {}) {
+  const windowSec = opts.windowSec || CALIBRATION_WINDOW_SEC;
+  const eventRad = (opts.eventDeg != null ? opts.eventDeg : CALIBRATION_EVENT_DEG) * DEG_TO_RAD;
+  const burstSec = opts.burstSec != null ? opts.burstSec : CALIBRATION_BURST_SEC;
+  const duration = points[points.length - 1].t - points[0].t;
+  const { xs, ys } = resampleTrack(points, windowSec);
+  const count = xs.length;
+  if (count < 3) throw new Error('the track is too short for the heading window');
+
+  // Turns between consecutive moving windows; stalls (no displacement) carry no heading
+  const speeds = [];
+  const angles = [], eventTimes = [], quiet = [];
+  let prevHeading = null;
+  for (let k = 1; k < count; k++) {
+    const dx = xs[k] - xs[k - 1], dy = ys[k] - ys[k - 1];
+    const len = Math.hypot(dx, dy);
+    speeds.push(len / windowSec);
+    if (len === 0) continue;
+    const heading = Math.atan2(dy, dx);
+    if (prevHeading !== null) {
+      const turn = wrapAngle(heading - prevHeading);
+      if (Math.abs(turn) > eventRad) {
+        angles.push(turn / DEG_TO_RAD);
+        eventTimes.push(k * windowSec);
+      } else {
+        quiet.push(turn);
+      }
+    }
+    prevHeading = heading;
+  }
+
+  const intervals = [];
+  let leaders = 0, bursts = 0, inBurst = false;
+  for (let k = 0; k < eventTimes.length; k++) {
+    const gap = k ? eventTimes[k] - eventTimes[k - 1] : Infinity;
+    if (k) intervals.push(gap);
+    if (gap > burstSec) {
+      leaders++;
+      inBurst = false;
+    } else if (!inBurst) {
+      bursts++;
+      inBurst = true;
+    }
+  }
+
+  const quietVar = quiet.length ? quiet.reduce((s, v) => s + v * v, 0) / quiet.length : 0;
+  speeds.sort((a, b) => a - b);
+  return {
+    duration,
+    windows: count - 1,
+    rate: duration > 0 ? angles.length / duration : 0,
+    burstShare: leaders ? bursts / leaders : 0,
+    jitterDeg: Math.sqrt(quietVar / windowSec) / DEG_TO_RAD,
+    angles,
+    intervals,
+    speed: percentile(speeds, 50),
+  };
+}
+
+// Simulated track of one projectile under the given wander values, sampled every physics step
+function simulateWanderTrack(values, seconds, seed, speed = 100, heading = 0) {
+  const wander = new Wander(normalizeConfig(values));
+  const store = new ProjectileStore(1);
+  const i = store.add();
+  const rng = createRng(seed);
+  const dt = 1 / 120; // the engine's physics step
+  wander.init(store, i, rng);
+  let angle = heading, x = 0, y = 0;
+  const points = [{ t: 0, x, y }];
+  const steps = Math.round(seconds / dt);
+  for (let k = 1; k <= steps; k++) {
+    angle = wander.step(store, i, angle, dt, rng);
+    x += Math.cos(angle) * speed * dt;
+    y += Math.sin(angle) * speed * dt;
+    points.push({ t: k * dt, x, y });
+  }
+  return points;
+}
+
+// Matching targets: median and 90th percentile event turn, and the share of large turns
+function turnMoments(angles) {
+  const abs = angles.map(Math.abs).sort((a, b) => a - b);
+  return {
+    median: percentile(abs, 50),
+    p90: percentile(abs, 90),
+    large: abs.length ? abs.filter(a => a > CALIBRATION_LARGE_DEG).length / abs.length : 0,
+  };
+}
+
+/**
+ * Fit the Spark wander parameters to a tracked trajectory by simulated moment matching: the candidate model
+ * is simulated, measured through the same windows and thresholds as the track, and each parameter scaled
+ * toward the statistic it drives (event rate, burst share, turn median / 90th percentile / large share,
+ * micro-jitter) until they agree. Measuring both the same way cancels the window's blurring and the event
+ * threshold's cut. Tracking noise ends up in the jitter.
+ * Returns {values (a full set of wander* keys, intensity 1), measured, fitted (stats of the fitted model)}.
+ */
+function fitWanderParams(points, opts = {}) {
+  const statsOpts = {
+    windowSec: opts.windowSec || CALIBRATION_WINDOW_SEC,
+    eventDeg: opts.eventDeg != null ? opts.eventDeg : CALIBRATION_EVENT_DEG,
+    burstSec: opts.burstSec != null ? opts.burstSec : CALIBRATION_BURST_SEC,
+  };
+  const seed = opts.seed != null ? opts.seed : 1;
+  const measured = trajectoryStats(points, statsOpts);
+  if (measured.angles.length < 5) throw new Error('too few heading changes above ' + statsOpts.eventDeg + '° to fit');
+  const target = turnMoments(measured.angles);
+
+  const p = {
+    rate: DEFAULT_CONFIG.wanderRate, pLarge: DEFAULT_CONFIG.wanderPLarge, pBurst: DEFAULT_CONFIG.wanderPBurst,
+    small: DEFAULT_CONFIG.wanderSmallDeg, large: DEFAULT_CONFIG.wanderLargeDeg, jitter: DEFAULT_CONFIG.wanderJitterDeg,
+  };
+  const valuesOf = () => Object.assign(wanderPreset('spark'), {
+    wanderIntensity: 1,
+    wanderRate: p.rate,
+    wanderPLarge: p.pLarge,
+    wanderPBurst: p.pBurst,
+    wanderSmallDeg: p.small,
+    wanderLargeDeg: p.large,
+    // Caps keep the default model's ratio to the sigmas
+    wanderSmallCapDeg: Math.min(180, p.small * DEFAULT_CONFIG.wanderSmallCapDeg / DEFAULT_CONFIG.wanderSmallDeg),
+    wanderLargeCapDeg: Math.min(180, p.large * DEFAULT_CONFIG.wanderLargeCapDeg / DEFAULT_CONFIG.wanderLargeDeg),
+    wanderJitterDeg: p.jitter,
+  });
+  const simulate = () => trajectoryStats(simulateWanderTrack(valuesOf(), CALIBRATION_SIM_SEC, seed), statsOpts);
+  // Scale part way toward the target (the statistics interact); one the model doesn't produce yet is left alone
+  const scale = (value, want, got, min, max) =>
+    got > 0 && want > 0 ? clamp(value * Math.sqrt(clamp(want / got, 0.25, 4)), min, max) : (want === 0 ? min : value);
+
+  let fitted = simulate();
+  for (let pass = 0; pass < CALIBRATION_ITERATIONS; pass++) {
+    const got = turnMoments(fitted.angles);
+    p.rate = scale(p.rate, measured.rate, fitted.rate, 0.05, 60);
+    p.pBurst = scale(p.pBurst, measured.burstShare, fitted.burstShare, 0, 1);
+    p.small = scale(p.small, target.median, got.median, 1, 90);
+    p.large = scale(p.large, target.p90, got.p90, p.small, 180);
+    p.pLarge = scale(p.pLarge, target.large, got.large, 0, 1);
+    p.jitter = scale(p.jitter, measured.jitterDeg, fitted.jitterDeg, 0, 360);
+    fitted = simulate();
+  }
+
+  const round = (v, digits) => Number(v.toFixed(digits));
+  const values = valuesOf();
+  for (const k of WANDER_KEYS) if (typeof values[k] === 'number') values[k] = round(values[k], k.endsWith('Deg') ? 1 : 3);
+  return { values, measured, fitted };
+}
+
+/* Trajectory comparison: a tracked path against simulated Spark paths from the same start */
+
+// Simulated paths averaged for the comparison statistics
+const TRAJECTORY_SIM_RUNS = 40;
+
+/**
+ * Mean squared displacement at lags of 1, 2, ... steps (up to half the track, where there are still enough
+ * pairs to average), from the track resampled every step seconds. Returns [{lag (s), msd (track units²)}].
+ */
+function meanSquaredDisplacement(points, step) {
+  const { xs, ys } = resampleTrack(points, step);
+  const out = [];
+  for (let k = 1; k <= Math.floor((xs.length - 1) / 2); k++) {
+    let sum = 0;
+    for (let i = k; i < xs.length; i++) {
+      const dx = xs[i] - xs[i - k], dy = ys[i] - ys[i - k];
+      sum += dx * dx + dy * dy;
+    }
+    out.push({ lag: k * step, msd: sum / (xs.length - k) });
+  }
+  return out;
+}
+
+// Path length over straight-line distance, start to end (1 for a straight path), on the resampled track
+function tortuosity(points, step) {
+  const { xs, ys } = resampleTrack(points, step);
+  let length = 0;
+  for (let k = 1; k < xs.length; k++) length += Math.hypot(xs[k] - xs[k - 1], ys[k] - ys[k - 1]);
+  const chord = Math.hypot(xs[xs.length - 1] - xs[0], ys[ys.length - 1] - ys[0]);
+  return chord > 0 ? length / chord : Infinity;
+}
+
+/**
+ * Compare a tracked path with Spark paths simulated under the config's wander settings, started along the
+ * track's first heading at its median speed and measured the same way, in the track's units.
+ * opts: {windowSec, seed, runs}. Returns {duration, speed, heading, lags, track: {msd, tortuosity},
+ * sim: {msd, tortuosity} (means over the runs)}.
+ */
+function compareTrajectory(points, config, opts = {}) {
+  const step = opts.windowSec || CALIBRATION_WINDOW_SEC;
+  const runs = opts.runs || TRAJECTORY_SIM_RUNS;
+  const seed = opts.seed != null ? opts.seed : 1;
+  const stats = trajectoryStats(points, { windowSec: step });
+  const { xs, ys } = resampleTrack(points, step);
+  let k = 1;
+  while (k < xs.length - 1 && xs[k] === xs[0] && ys[k] === ys[0]) k++;
+  const heading = Math.atan2(ys[k] - ys[0], xs[k] - xs[0]);
+  const trackMsd = meanSquaredDisplacement(points, step);
+  const simMsd = trackMsd.map(() => 0);
+  let simTortuosity = 0;
+  for (let r = 0; r < runs; r++) {
+    const sim = simulateWanderTrack(config, stats.duration, trialSeed(seed, r), stats.speed, heading);
+    meanSquaredDisplacement(sim, step).forEach((m, i) => { if (i < simMsd.length) simMsd[i] += m.msd / runs; });
+    simTortuosity += tortuosity(sim, step) / runs;
+  }
+  return {
+    duration: stats.duration,
+    speed: stats.speed,
+    heading,
+    lags: trackMsd.map(m => m.lag),
+    track: { msd: trackMsd.map(m => m.msd), tortuosity: tortuosity(points, step) },
+    sim: { msd: simMsd, tortuosity: simTortuosity },
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createEngine,
+    advanceEngines,
+    EVENT_FIELDS,
+    EVENT_LOG_MAX,
+    eventsToCSV,
+    Engine,
+    ProjectileStore,
+    UniformGrid,
+    normalizeConfig,
+    normalizeBehaviorOrder,
+    DEFAULT_CONFIG,
+    ENEMY_MOVEMENTS,
+    CASTER_MOVEMENTS,
+    WANDER_MODELS,
+    WANDER_KEYS,
+    WANDER_PRESETS,
+    wanderPreset,
+    matchWanderPreset,
+    HIT_COOLDOWN_SCOPES,
+    BEHAVIORS,
+    SKILL_KEYS,
+    SKILL_PROFILES,
+    skillProfile,
+    matchSkillProfile,
+    createArena,
+    normalizeArenaDef,
+    parseArenaFile,
+    parseArenaJSON,
+    parseArenaSVG,
+    createRng,
+    randomSeed,
+    trialSeed,
+    runTrial,
+    runTrials,
+    SWEEP_PARAMS,
+    withSweepValue,
+    sweepValues,
+    runSweep,
+    casterSpots,
+    runPositionScan,
+    runComparison,
+    comparePaired,
+    normalCdf,
+    summarize,
+    percentile,
+    histogram,
+    parseTrajectoryCSV,
+    trajectoryStats,
+    simulateWanderTrack,
+    fitWanderParams,
+    resampleTrack,
+    meanSquaredDisplacement,
+    tortuosity,
+    compareTrajectory,
+    Arena,
+    CircleArena,
+    SquareArena,
+    SegmentArena,
+    TJunctionArena,
+    CustomArena,
+    ImportedArena,
+    T_JUNCTION_DIMS,
+    ARENA_RADIUS_UNITS,
+  };
+}
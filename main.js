@@ -1,14 +1,6 @@
-/* Spark simulator (client-only, Canvas 2D). Physics runs in world units scaled to pixels. */
-
-/* Utility */
-const TWO_PI = Math.PI * 2;
-const DEG_TO_RAD = Math.PI / 180;
-const FORK_ANGLE_RAD = 60 * DEG_TO_RAD;
-
-function clamp(value, min, max) { return Math.max(min, Math.min(max, value)); }
-function randUnit() { return Math.random(); }
-function randRange(min, max) { return min + (max - min) * Math.random(); }
-function distance(a, b) { const dx = a.x - b.x; const dy = a.y - b.y; return Math.hypot(dx, dy); }
+/* Spark simulator UI (client-only, Canvas 2D). Physics lives in engine.js in world units and simulated time
+   (run by worker.js when the page can start workers); this file maps world units to canvas pixels and wires
+   up the side panel, URL state and charts. */
 
 // Minimal DOM cache to avoid repeated lookups
 const __domCache = new Map();
@@ -18,45 +10,203 @@ function el(id) {
   return node;
 }
 
-// Screen/world conversions (world normalized to arena radius)
-function toWorldNorm(sim, px, py) {
-  const cx = sim.width / 2, cy = sim.height / 2;
-  return {
-    x: (px - cx) / (sim.scale * ARENA_RADIUS_UNITS),
-    y: (py - cy) / (sim.scale * ARENA_RADIUS_UNITS),
-  };
+// Fill packed projectiles ([x, y, onCooldown] triples from Engine.packFrame) of radius r as one path per color;
+// with `cooldownColor`, projectiles whose hit cooldown against the boss is active use it
+function drawProjectiles(ctx, buf, r, color, cooldownColor) {
+  for (const pass of cooldownColor ? [0, 1] : [-1]) {
+    ctx.fillStyle = pass === 1 ? cooldownColor : color;
+    ctx.beginPath();
+    for (let i = 0; i < buf.length; i += 3) {
+      if (pass !== -1 && buf[i + 2] !== pass) continue;
+      ctx.moveTo(buf[i] + r, buf[i + 1]);
+      ctx.arc(buf[i], buf[i + 1], r, 0, TWO_PI);
+    }
+    ctx.fill();
+  }
 }
-function fromWorldNorm(sim, wx, wy) {
-  const cx = sim.width / 2, cy = sim.height / 2;
-  return {
-    x: cx + (wx * ARENA_RADIUS_UNITS) * sim.scale,
-    y: cy + (wy * ARENA_RADIUS_UNITS) * sim.scale,
-  };
+
+// Save text as a file download
+function downloadText(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Heatmap color for a share u in [0, 1] of the peak, [r, g, b, a]: faint blue through yellow to red
+function heatColor(u) {
+  const stops = [[40, 90, 255], [255, 209, 102], [255, 70, 50]];
+  const x = clamp(u, 0, 1) * 2;
+  const i = Math.min(1, Math.floor(x));
+  const f = x - i;
+  const a = stops[i], b = stops[i + 1];
+  return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f, Math.round(40 + 180 * clamp(u, 0, 1))];
+}
+
+// Screen/world conversions (world units centered on the arena; pixels relative to the canvas)
+function screenToWorld(sim, px, py) {
+  return { x: (px - sim.width / 2) / sim.scale, y: (py - sim.height / 2) / sim.scale };
+}
+function worldToScreen(sim, ux, uy) {
+  return { x: sim.width / 2 + ux * sim.scale, y: sim.height / 2 + uy * sim.scale };
 }
 const URL_UPDATE_MIN_INTERVAL_MS = 500;
+// Wall-clock work allowed per animation frame for physics; sped-up runs slow down instead of freezing the page
+const FRAME_BUDGET_MS = 12;
+const SIM_CHUNK_SEC = 1 / 30;
+// Most workers a batch job starts (one trial each at a time)
+const MAX_TRIAL_WORKERS = 8;
+// Run buttons locked while a trial job is running
+const TRIAL_JOB_BUTTONS = ['batchRunBtn', 'sweepRunBtn', 'abRunBtn', 'spotRunBtn'];
+// Series/projectile colors per build in A/B compare mode
+const BUILD_COLORS = { A: '#7cc5ff', B: '#c792ea' };
+// Trajectory overlay: simulated paths drawn beside the tracked one, and the pause (simulated s) between replays
+const GHOST_SIM_PATHS = 3;
+const GHOST_PAUSE_SEC = 0.5;
+const GHOST_COLOR = '#f78fb3';
+// Projectile trails: share of the trail layer faded out per drawn frame
+const TRAIL_FADE = 0.12;
+// Heatmap: occupancy cell size (world units) and bins around each enemy's perimeter for hit locations
+const HEAT_CELL_UNITS = 4;
+const HEAT_RING_BINS = 48;
+// Full-history chart: samples kept before the history halves its resolution, and the narrowest zoom (simulated s)
+const HISTORY_MAX_SAMPLES = 4000;
+const HISTORY_MIN_SPAN_SEC = 1;
+// Series the full-history chart can plot; `ab` ones are reported for both builds while comparing
+const HISTORY_SERIES = [
+  { key: 'dps', label: 'DPS', ab: true },
+  { key: 'hitsPerSec', label: 'Hit Rate (/s)', ab: true },
+  { key: 'projAlive', label: 'Projectiles' },
+  { key: 'hitsTotal', label: 'Hits (total)' },
+  { key: 'totalDamage', label: 'Total Damage' },
+  { key: 'cooldownPct', label: 'Casts on CD (%)' },
+];
 const __urlUpdate = { lastAt: 0, timer: null, pending: null };
 
+// Damage model fields (Damage panel; DOM id = config key). Links carry only the ones off their default.
+const DAMAGE_FIELDS = [
+  { key: 'damageMin', param: 'dmn' },
+  { key: 'damageMax', param: 'dmx' },
+  { key: 'critChance', param: 'cc' },
+  { key: 'critMulti', param: 'cm' },
+  { key: 'shockChance', param: 'shc' },
+  { key: 'shockEffect', param: 'she' },
+  { key: 'shockStacks', param: 'shs' },
+  { key: 'shockDuration', param: 'shd' },
+  { key: 'igniteChance', param: 'igc' },
+  { key: 'igniteDps', param: 'igp' },
+  { key: 'igniteDuration', param: 'igd' },
+  { key: 'penetration', param: 'pen' },
+];
+
+// Skill profile fields (DOM id = config key). Links carry only the ones off Spark's values; `parse` reads a
+// non-numeric one from its text and `format` writes it back
+const SKILL_FIELDS = [
+  { key: 'hitCooldownSec', param: 'hcd' },
+  { key: 'hitCooldownScope', param: 'hcs', parse: String },
+  { key: 'behaviorOrder', param: 'bo', parse: parseBehaviorOrder, format: order => order.join(', ') },
+  { key: 'forkAngleDeg', param: 'fa' },
+  { key: 'baseProjSpeed', param: 'bps' },
+  { key: 'projRadius', param: 'prad' },
+  { key: 'passThrough', param: 'pt', parse: v => v === 'true' || v === '1' },
+];
+
+// Text of a field's value in its input
+function fieldText(f, v) { return f.format ? f.format(v) : String(v); }
+
+// Per-build fields for A/B comparison (arena, enemy, seed and placement are shared); DOM id = config key
+const BUILD_FIELDS = [
+  ...DAMAGE_FIELDS,
+  ...SKILL_FIELDS,
+  { key: 'projSpeedMod', param: 'ps' },
+  { key: 'duration', param: 'd' },
+  { key: 'projectileCount', param: 'pc' },
+  { key: 'castSpeed', param: 'cs' },
+  { key: 'castShape', param: 'shape' },
+  { key: 'casterFacingDeg', param: 'face' },
+  { key: 'pierceCount', param: 'pr' },
+  { key: 'forkTimes', param: 'fk' },
+  { key: 'forkChance', param: 'fc' },
+  { key: 'chainCount', param: 'ch' },
+  { key: 'splitCount', param: 'sp' },
+];
+
+// Motion model fields (Advanced Motion panel; DOM id = config key). Links carry only the ones off their default.
+const WANDER_FIELDS = [
+  { key: 'wanderModel', param: 'wm' },
+  { key: 'wanderIntensity', param: 'wi' },
+  { key: 'wanderRate', param: 'wr' },
+  { key: 'wanderPLarge', param: 'wpl' },
+  { key: 'wanderPBurst', param: 'wpb' },
+  { key: 'wanderSmallDeg', param: 'wss' },
+  { key: 'wanderLargeDeg', param: 'wsl' },
+  { key: 'wanderSmallCapDeg', param: 'wcs' },
+  { key: 'wanderLargeCapDeg', param: 'wcl' },
+  { key: 'wanderJitterDeg', param: 'wj' },
+  { key: 'wanderTurnDeg', param: 'wt' },
+  { key: 'wanderReversion', param: 'wou' },
+];
+
 function buildURLState(sim) {
-  const casterW = toWorldNorm(sim, sim.caster.x, sim.caster.y);
-  const bossW = toWorldNorm(sim, sim.boss.x, sim.boss.y);
+  // Main params always describe build A; build B is stored as its differences (b.<param>)
+  const cfg = sim.buildConfig('A');
+  const b = {};
+  for (const f of BUILD_FIELDS) {
+    if (String(sim.builds.B[f.key]) !== String(sim.builds.A[f.key])) b[f.param] = sim.builds.B[f.key];
+  }
+  // Placed positions are persisted normalized to the arena radius
+  const { caster, boss } = sim.engine;
   return {
-    a: sim.config.arenaType,
-    ah: sim.config.avgHit,
-    ps: sim.config.projSpeedMod,
-    d: sim.config.duration,
-    pc: sim.config.projectileCount,
-    cs: sim.config.castSpeed,
-    shape: sim.config.castShape,
-    face: sim.config.casterFacingDeg,
-    pr: sim.config.pierceCount,
-    fk: sim.config.forkTimes,
-    fc: sim.config.forkChance,
-    ch: sim.config.chainCount,
-    sp: sim.config.splitCount,
-    er: sim.config.bossRadius,
+    a: cfg.arenaType,
+    ca: cfg.arenaType === 'custom' && cfg.customArena ? cfg.customArena : undefined,
+    ia: cfg.arenaType === 'imported' && cfg.importedArena ? cfg.importedArena : undefined,
+    dmg: Object.fromEntries(DAMAGE_FIELDS.filter(f => cfg[f.key] !== DEFAULT_CONFIG[f.key]).map(f => [f.param, cfg[f.key]])),
+    skill: Object.fromEntries(SKILL_FIELDS.filter(f => String(cfg[f.key]) !== String(DEFAULT_CONFIG[f.key])).map(f => [f.param, cfg[f.key]])),
+    ps: cfg.projSpeedMod,
+    d: cfg.duration,
+    pc: cfg.projectileCount,
+    cs: cfg.castSpeed,
+    shape: cfg.castShape,
+    face: cfg.casterFacingDeg,
+    pr: cfg.pierceCount,
+    fk: cfg.forkTimes,
+    fc: cfg.forkChance,
+    ch: cfg.chainCount,
+    sp: cfg.splitCount,
+    er: cfg.bossRadius,
+    res: cfg.enemyResist || undefined,
+    bl: cfg.bossLife || undefined,
+    bes: cfg.bossEs || undefined,
+    brg: cfg.bossRegen || undefined,
+    ph: el('bossPhases').value.trim() || undefined,
+    cr: cfg.chainRange,
+    mv: cfg.enemyMovement === 'static' ? undefined : cfg.enemyMovement,
+    msp: cfg.enemyMoveSpeed,
+    mrg: cfg.enemyMoveRange,
+    tpi: cfg.teleportInterval,
+    cmv: cfg.casterMovement === 'static' ? undefined : cfg.casterMovement,
+    cms: cfg.casterMoveSpeed,
+    cpa: cfg.casterPause,
+    cwm: cfg.castWhileMoving ? undefined : 0,
+    wp: cfg.casterWaypoints.map(p => ({ x: p.x / ARENA_RADIUS_UNITS, y: p.y / ARENA_RADIUS_UNITS })),
+    wander: Object.fromEntries(WANDER_FIELDS.filter(f => cfg[f.key] !== DEFAULT_CONFIG[f.key]).map(f => [f.param, cfg[f.key]])),
     ts: sim.metrics.windowSec,
-    cxu: casterW.x, cyu: casterW.y,
-    bxu: bossW.x, byu: bossW.y,
+    ssw: cfg.steadyWindowSec !== DEFAULT_CONFIG.steadyWindowSec ? cfg.steadyWindowSec : undefined,
+    sst: cfg.steadyTolerancePct !== DEFAULT_CONFIG.steadyTolerancePct ? cfg.steadyTolerancePct : undefined,
+    bs: cfg.burstSec !== DEFAULT_CONFIG.burstSec ? cfg.burstSec : undefined,
+    spd: sim.simSpeed,
+    tr: sim.view.trails ? 1 : undefined,
+    hm: sim.view.heatmap ? 1 : undefined,
+    seed: cfg.seed,
+    b,
+    ab: sim.compare ? 1 : undefined,
+    cxu: caster.homeX / ARENA_RADIUS_UNITS, cyu: caster.homeY / ARENA_RADIUS_UNITS,
+    bxu: boss.homeX / ARENA_RADIUS_UNITS, byu: boss.homeY / ARENA_RADIUS_UNITS,
+    en: sim.engine.enemies.slice(1).map(e => ({ x: e.homeX / ARENA_RADIUS_UNITS, y: e.homeY / ARENA_RADIUS_UNITS, r: e.r })),
   };
 }
 function throttledWriteURL(state) {
@@ -105,6 +255,21 @@ function formatShortNumber(value, preferDecimals = 1) {
   return sign + rounded;
 }
 
+// Axis tick spacing of 1, 2 or 5 × 10^n giving about `count` ticks over `span`
+function niceStep(span, count) {
+  const raw = span / Math.max(1, count);
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const f = raw / mag;
+  return (f < 1.5 ? 1 : f < 3.5 ? 2 : f < 7.5 ? 5 : 10) * mag;
+}
+
+// Simulated time label: seconds below a minute, m:ss above
+function formatSimTime(t, decimals = 0) {
+  if (t < 60) return t.toFixed(decimals) + 's';
+  const m = Math.floor(t / 60);
+  return m + ':' + String(Math.floor(t - m * 60)).padStart(2, '0');
+}
+
 // URL helpers: serialize/deserialize UI + positions for deep links
 function parseURLParams() {
   const p = new URLSearchParams(window.location.search);
@@ -112,7 +277,11 @@ function parseURLParams() {
   const str = (k) => (p.has(k) ? p.get(k) : undefined);
   const out = {
     a: str('a'), // arenaType (short code)
-    ah: num('ah'), // avgHit
+    ca: decodeArenaDef(str('ca')), // custom arena definition (JSON)
+    ia: decodeArenaDef(str('ia')), // imported arena definition (JSON)
+    ah: num('ah'), // legacy flat hit: damageMin = damageMax
+    dmg: {}, // damage model fields (config key -> value), from DAMAGE_FIELDS params
+    skill: {}, // skill profile fields (config key -> value), from SKILL_FIELDS params
     ps: num('ps'), // projSpeed
     d: num('d'), // duration
     pc: num('pc'), // projectileCount
@@ -125,13 +294,60 @@ function parseURLParams() {
     ch: num('ch'), // chainCount
     sp: num('sp'), // splitCount
     er: num('er'), // bossRadius
+    res: num('res'), // enemyResist
+    bl: num('bl'), // bossLife
+    bes: num('bes'), // bossEs
+    brg: num('brg'), // bossRegen
+    ph: str('ph'), // boss phases as typed, e.g. "75:immune:3, 50:teleport"
+    cr: num('cr'), // chainRange
+    mv: str('mv'), // enemyMovement
+    msp: num('msp'), // enemyMoveSpeed
+    mrg: num('mrg'), // enemyMoveRange
+    tpi: num('tpi'), // teleportInterval
+    cmv: str('cmv'), // casterMovement
+    cms: num('cms'), // casterMoveSpeed
+    cpa: num('cpa'), // casterPause
+    cwm: num('cwm'), // castWhileMoving (0 = off)
+    ssw: num('ssw'), // steadyWindowSec
+    sst: num('sst'), // steadyTolerancePct
+    bs: num('bs'), // burstSec
+    wp: decodePoints(str('wp')), // caster waypoints, world-normalized "x,y;..."
+    wander: {}, // motion model fields (config key -> value), from WANDER_FIELDS params
     ts: num('ts'), // chart window (seconds)
+    seed: num('seed'), // RNG seed
+    spd: str('spd'), // simulation speed multiplier or 'max'
+    tr: num('tr'), // projectile trails on
+    hm: num('hm'), // heatmap on
+    ab: num('ab'), // live A/B compare on
+    b: {}, // build B overrides (config key -> value), from b.<param>
     // Positions: support both canvas-normalized (0..1) and world-normalized (relative to arena radius)
     cx: num('cx'), cy: num('cy'), // legacy canvas-normalized positions
     bx: num('bx'), by: num('by'),
     cxu: num('cxu'), cyu: num('cyu'), // world-normalized positions (relative to ARENA_RADIUS_UNITS)
     bxu: num('bxu'), byu: num('byu'),
+    en: decodeEnemies(str('en')), // extra enemies, world-normalized "x,y,r;..."
   };
+  for (const f of WANDER_FIELDS) {
+    if (p.has(f.param)) out.wander[f.key] = f.key === 'wanderModel' ? p.get(f.param) : Number(p.get(f.param));
+  }
+  for (const f of DAMAGE_FIELDS) {
+    if (p.has(f.param)) out.dmg[f.key] = Number(p.get(f.param));
+  }
+  for (const f of SKILL_FIELDS) {
+    if (p.has(f.param)) out.skill[f.key] = f.parse ? f.parse(p.get(f.param)) : Number(p.get(f.param));
+  }
+  if (out.ah !== undefined && !Number.isNaN(out.ah) && out.dmg.damageMin === undefined && out.dmg.damageMax === undefined) {
+    out.dmg.damageMin = out.dmg.damageMax = out.ah;
+  }
+  for (const f of BUILD_FIELDS) {
+    const k = 'b.' + f.param;
+    if (!p.has(k)) continue;
+    if (f.key === 'castShape') out.b[f.key] = decodeShape(p.get(k));
+    else out.b[f.key] = f.parse ? f.parse(p.get(k)) : Number(p.get(k));
+  }
+  if (p.has('b.ah') && out.b.damageMin === undefined && out.b.damageMax === undefined) {
+    out.b.damageMin = out.b.damageMax = Number(p.get('b.ah'));
+  }
   return out;
 }
 
@@ -139,7 +355,8 @@ function applyParamsToDOM(params) {
   const setIf = (id, v) => { if (v !== undefined && !Number.isNaN(v)) el(id).value = String(v); };
   const setSelIf = (id, v) => { if (v !== undefined) el(id).value = v; };
   setSelIf('arenaType', decodeArena(params.a));
-  setIf('avgHit', params.ah);
+  for (const f of DAMAGE_FIELDS) setIf(f.key, params.dmg[f.key]);
+  for (const f of SKILL_FIELDS) if (params.skill[f.key] !== undefined) el(f.key).value = fieldText(f, params.skill[f.key]);
   setIf('projSpeedMod', params.ps);
   setIf('duration', params.d);
   setIf('projectileCount', params.pc);
@@ -152,12 +369,38 @@ function applyParamsToDOM(params) {
   setIf('chainCount', params.ch);
   setIf('splitCount', params.sp);
   setIf('bossRadius', params.er);
+  setIf('enemyResist', params.res);
+  setIf('bossLife', params.bl);
+  setIf('bossEs', params.bes);
+  setIf('bossRegen', params.brg);
+  if (params.ph !== undefined) el('bossPhases').value = params.ph;
+  setIf('chainRange', params.cr);
+  setIf('steadyWindowSec', params.ssw);
+  setIf('steadyTolerancePct', params.sst);
+  setIf('burstSec', params.bs);
+  setSelIf('enemyMovement', params.mv);
+  setIf('enemyMoveSpeed', params.msp);
+  setIf('enemyMoveRange', params.mrg);
+  setIf('teleportInterval', params.tpi);
+  setSelIf('casterMovement', params.cmv);
+  setIf('casterMoveSpeed', params.cms);
+  setIf('casterPause', params.cpa);
+  if (params.cwm !== undefined) el('castWhileMoving').checked = params.cwm !== 0;
+  for (const f of WANDER_FIELDS) {
+    if (f.key === 'wanderModel') setSelIf(f.key, params.wander[f.key]); else setIf(f.key, params.wander[f.key]);
+  }
   if (params.ts !== undefined && !Number.isNaN(params.ts)) el('timeScale').value = String(params.ts);
+  setIf('seed', params.seed);
+  setSelIf('simSpeed', params.spd);
+  if (params.tr !== undefined) el('showTrails').checked = params.tr === 1;
+  if (params.hm !== undefined) el('showHeatmap').checked = params.hm === 1;
   return {
     casterWorld: (params.cxu !== undefined && params.cyu !== undefined) ? { x: params.cxu, y: params.cyu } : undefined,
     bossWorld: (params.bxu !== undefined && params.byu !== undefined) ? { x: params.bxu, y: params.byu } : undefined,
     caster: (params.cx !== undefined && params.cy !== undefined) ? { x: clamp(params.cx, 0, 1), y: clamp(params.cy, 0, 1) } : undefined,
     boss: (params.bx !== undefined && params.by !== undefined) ? { x: clamp(params.bx, 0, 1), y: clamp(params.by, 0, 1) } : undefined,
+    enemiesWorld: params.en,
+    waypointsWorld: params.wp,
   };
 }
 
@@ -165,7 +408,12 @@ function writeURLParams(state) {
   const p = new URLSearchParams();
   const set = (k, v) => { if (v !== undefined && v !== null && v !== '') p.set(k, String(v)); };
   set('a', encodeArena(state.a));
-  set('ah', state.ah);
+  // Arena definitions as JSON with coordinates rounded to 0.1 units
+  const arenaJSON = (def) => JSON.stringify(def, (k, v) => (typeof v === 'number' ? Math.round(v * 10) / 10 : v));
+  if (state.ca) set('ca', arenaJSON(state.ca));
+  if (state.ia) set('ia', arenaJSON(state.ia));
+  for (const [k, v] of Object.entries(state.dmg || {})) set(k, v);
+  for (const [k, v] of Object.entries(state.skill || {})) set(k, v);
   set('ps', state.ps);
   set('d', state.d);
   set('pc', state.pc);
@@ -178,7 +426,31 @@ function writeURLParams(state) {
   set('ch', state.ch);
   set('sp', state.sp);
   set('er', state.er);
+  set('res', state.res);
+  set('bl', state.bl);
+  set('bes', state.bes);
+  set('brg', state.brg);
+  set('ph', state.ph);
+  set('cr', state.cr);
+  set('mv', state.mv);
+  set('msp', state.msp);
+  set('mrg', state.mrg);
+  set('tpi', state.tpi);
+  set('cmv', state.cmv);
+  set('cms', state.cms);
+  set('cpa', state.cpa);
+  set('cwm', state.cwm);
+  for (const [k, v] of Object.entries(state.wander || {})) set(k, v);
   set('ts', state.ts);
+  set('ssw', state.ssw);
+  set('sst', state.sst);
+  set('bs', state.bs);
+  set('seed', state.seed);
+  set('spd', state.spd);
+  set('tr', state.tr);
+  set('hm', state.hm);
+  for (const [k, v] of Object.entries(state.b || {})) set('b.' + k, k === 'shape' ? encodeShape(v) : v);
+  set('ab', state.ab);
   const fmtN = (n) => (v) => {
     const s = Number(v).toFixed(n);
     return s.replace(/\.0+$/, '').replace(/(\.\d*?)0+$/, '$1');
@@ -194,17 +466,23 @@ function writeURLParams(state) {
   if (state.cyu !== undefined) set('cyu', fmt5(state.cyu));
   if (state.bxu !== undefined) set('bxu', fmt5(state.bxu));
   if (state.byu !== undefined) set('byu', fmt5(state.byu));
+  if (state.wp && state.wp.length) set('wp', state.wp.map(p => fmt5(p.x) + ',' + fmt5(p.y)).join(';'));
+  if (state.en && state.en.length) set('en', state.en.map(e => [fmt5(e.x), fmt5(e.y), fmt3(e.r)].join(',')).join(';'));
   const url = window.location.pathname + '?' + p.toString();
   window.history.replaceState(null, '', url);
 }
 
 // Short code encoders/decoders
 function encodeArena(v) {
+  if (v === 'custom' || v === 'x') return 'x';
+  if (v === 'imported' || v === 'i') return 'i';
   if (v === 'tjunction' || v === 't') return 't';
   if (v === 'square' || v === 's') return 's';
   return 'c'; // circle
 }
 function decodeArena(v) {
+  if (v === 'x') return 'custom';
+  if (v === 'i') return 'imported';
   if (v === 't') return 'tjunction';
   if (v === 's') return 'square';
   if (v === 'c') return 'circle';
@@ -219,463 +497,62 @@ function decodeShape(v) {
   if (v === 'c') return 'circular';
   return v || 'circular';
 }
-
-// Returns earliest t in [0,1] for moving circle vs target circle (ray-circle intersection).
-function sweptCircleHitT(px, py, dx, dy, cx, cy, R) {
-  // Solve |(p + t d) - c|^2 = R^2 => (d·d) t^2 + 2 d·(p-c) t + |p-c|^2 - R^2 = 0
-  const mx = px - cx, my = py - cy;
-  const a = dx * dx + dy * dy;
-  const b = 2 * (dx * mx + dy * my);
-  const c = mx * mx + my * my - R * R;
-  // If starting already inside, treat as immediate hit
-  if (c <= 0) return 0;
-  if (a === 0) return null; // no movement
-  const disc = b * b - 4 * a * c;
-  if (disc < 0) return null;
-  const sqrt = Math.sqrt(disc);
-  const t1 = (-b - sqrt) / (2 * a);
-  const t2 = (-b + sqrt) / (2 * a);
-  // We need the smallest non-negative within [0,1]
-  let t = null;
-  if (t1 >= 0 && t1 <= 1) t = t1;
-  else if (t2 >= 0 && t2 <= 1) t = t2;
-  return t;
+function decodeArenaDef(v) {
+  if (!v) return undefined;
+  try { return normalizeArenaDef(JSON.parse(v)); } catch (e) { return undefined; }
 }
-
-// Closest points between segments P0->P1 and Q0->Q1; used for CCD support.
-function closestPointsBetweenSegments(p0x, p0y, p1x, p1y, q0x, q0y, q1x, q1y) {
-  const ux = p1x - p0x, uy = p1y - p0y;
-  const vx = q1x - q0x, vy = q1y - q0y;
-  const wx = p0x - q0x, wy = p0y - q0y;
-  const a = ux * ux + uy * uy;      // |u|^2
-  const b = ux * vx + uy * vy;      // u·v
-  const c = vx * vx + vy * vy;      // |v|^2
-  const d = ux * wx + uy * wy;      // u·w
-  const e = vx * wx + vy * wy;      // v·w
-  const D = a * c - b * b;
-  let sc, sN, sD = D;
-  let tc, tN, tD = D;
-
-  const EPS = 1e-9;
-  if (D < EPS) {
-    // parallel
-    sN = 0.0; sD = 1.0; tN = e; tD = c;
-  } else {
-    sN = (b * e - c * d);
-    tN = (a * e - b * d);
-    if (sN < 0) { sN = 0; tN = e; tD = c; }
-    else if (sN > sD) { sN = sD; tN = e + b; tD = c; }
-  }
-
-  if (tN < 0) {
-    tN = 0;
-    if (-d < 0) sN = 0; else if (-d > a) sN = sD; else { sN = -d; sD = a; }
-  } else if (tN > tD) {
-    tN = tD;
-    if ((-d + b) < 0) sN = 0; else if ((-d + b) > a) sN = sD; else { sN = (-d + b); sD = a; }
-  }
-
-  sc = Math.abs(sD) < EPS ? 0 : sN / sD;
-  tc = Math.abs(tD) < EPS ? 0 : tN / tD;
-
-  const px = p0x + sc * ux, py = p0y + sc * uy;
-  const qx = q0x + tc * vx, qy = q0y + tc * vy;
-  const dx = px - qx, dy = py - qy;
-  return { sc, tc, px, py, qx, qy, dist: Math.hypot(dx, dy) };
+// Boss phases typed as "pct:action[:value]" entries, e.g. "75:immune:3, 50:teleport:40": the value is the immune
+// seconds or the teleport radius, defaulted by normalizeConfig when left out; unreadable entries are skipped
+function parseBossPhases(text) {
+  return text.split(/[,;]/).map(s => s.trim().split(/\s*:\s*/)).filter(a => a[0] !== '')
+    .map(a => ({ pct: Number(a[0]), action: (a[1] || '').toLowerCase(), duration: a[2], radius: a[2] }));
 }
-
-// Closest point from a point P to segment AB (projection clamped to [0,1]).
-function closestPointOnSegment(px, py, ax, ay, bx, by) {
-  const vx = bx - ax, vy = by - ay;
-  const wx = px - ax, wy = py - ay;
-  const vLen2 = vx * vx + vy * vy || 1;
-  let t = (wx * vx + wy * vy) / vLen2;
-  t = clamp(t, 0, 1);
-  const cx = ax + t * vx;
-  const cy = ay + t * vy;
-  const dx = px - cx, dy = py - cy;
-  return { t, cx, cy, dist: Math.hypot(dx, dy) };
+// Behavior priority typed as names, e.g. "chain, fork, pierce, split"; missing ones follow in the default order
+function parseBehaviorOrder(text) {
+  return normalizeBehaviorOrder(String(text).toLowerCase().split(/[\s,;>]+/).filter(Boolean));
 }
-
-// Exact time-of-impact for moving circle vs capsule segment; returns {t, nx, ny} or null.
-function sweptCircleSegmentTOI(p0x, p0y, dx, dy, ax, ay, bx, by, r) {
-  // Precompute segment basis
-  const ux = bx - ax, uy = by - ay;
-  const L = Math.hypot(ux, uy);
-  if (L === 0) {
-    // Degenerates to circle at A
-    const tCircle = sweptCircleHitT(p0x, p0y, dx, dy, ax, ay, r);
-    if (tCircle == null) return null;
-    const cx = ax, cy = ay;
-    const px = p0x + dx * tCircle, py = p0y + dy * tCircle;
-    const nx = (px - cx) / (Math.hypot(px - cx, py - cy) || 1);
-    const ny = (py - cy) / (Math.hypot(px - cx, py - cy) || 1);
-    return { t: tCircle, nx, ny };
-  }
-  const unx = ux / L, uny = uy / L; // tangent
-  const nx0 = -uny, ny0 = unx;      // unit normal
-
-  // Infinite strip intersections: solve n·(P0 + t d - A) = ±r
-  const p0n = nx0 * (p0x - ax) + ny0 * (p0y - ay);
-  const dn = nx0 * dx + ny0 * dy;
-  const candidates = [];
-  const EPS = 1e-9;
-  if (Math.abs(dn) > EPS) {
-    for (const sgn of [+1, -1]) {
-      const t = (sgn * r - p0n) / dn;
-      if (t >= -EPS && t <= 1 + EPS) {
-        const px = p0x + dx * t;
-        const py = p0y + dy * t;
-        const s = unx * (px - ax) + uny * (py - ay); // projection along segment
-        if (s >= -EPS && s <= L + EPS) {
-          const normSign = Math.sign(nx0 * (px - ax) + ny0 * (py - ay));
-          const nx = (normSign >= 0) ? nx0 : -nx0;
-          const ny = (normSign >= 0) ? ny0 : -ny0;
-          candidates.push({ t: Math.max(0, Math.min(1, t)), nx, ny });
-        }
-      }
-    }
-  }
-
-  // Endcap circles at A and B
-  const tA = sweptCircleHitT(p0x, p0y, dx, dy, ax, ay, r);
-  if (tA != null && tA >= 0 && tA <= 1) {
-    const px = p0x + dx * tA, py = p0y + dy * tA;
-    const vax = px - ax, vay = py - ay; const len = Math.hypot(vax, vay) || 1;
-    candidates.push({ t: tA, nx: vax / len, ny: vay / len });
-  }
-  const tB = sweptCircleHitT(p0x, p0y, dx, dy, bx, by, r);
-  if (tB != null && tB >= 0 && tB <= 1) {
-    const px = p0x + dx * tB, py = p0y + dy * tB;
-    const vbx = px - bx, vby = py - by; const len = Math.hypot(vbx, vby) || 1;
-    candidates.push({ t: tB, nx: vbx / len, ny: vby / len });
-  }
-
-  if (!candidates.length) return null;
-  let best = candidates[0];
-  for (let i = 1; i < candidates.length; i++) {
-    if (candidates[i].t < best.t) best = candidates[i];
-  }
-  return best;
+function decodePoints(v) {
+  if (!v) return [];
+  return v.split(';').map(s => s.split(',').map(Number))
+    .filter(a => a.length >= 2 && Number.isFinite(a[0]) && Number.isFinite(a[1]));
 }
-
-// Per-cast, per-target hit cooldown in seconds
-const PER_CAST_TARGET_COOLDOWN = 0.66;
-
-// World unit references
-const ARENA_RADIUS_UNITS = 160; // circle arena radius in world units
-const BOSS_RADIUS_UNITS = 3;
-const CASTER_RADIUS_UNITS = 3;
-const PROJ_RADIUS_UNITS = 1.5;
-const BASE_PROJ_SPEED_UNITS = 80;
-const WANDER_INTENSITY = 0.66;
-
-/**
- * Event-driven wander to mimic Spark-like motion:
- * - Continuous micro-jitter (Gaussian) for subtle wiggle
- * - Poisson-distributed heading-change events (~3 Hz)
- * - Mixture of small and larger heading deltas; occasional short bursts (2–3 rapid events)
- */
-function gaussian() {
-  // Box-Muller transform
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+function decodeEnemies(v) {
+  return decodePoints(v).map(a => ({ x: a[0], y: a[1], r: Number.isFinite(a[2]) ? a[2] : BOSS_RADIUS_UNITS }));
 }
 
-class Wander {
-  constructor() {
-    this.t = 0;
-    // Event rate ~3 Hz, matching observed low-velocity samples
-    this.lambda = 3.0;
-    // Probability that an event uses the larger-angle distribution
-    this.pLarge = 0.35;
-    // Probability to spawn a short burst (1-2 extra events) around the main event
-    this.pBurst = 0.25;
-    // Angular deltas (radians)
-    this.sigmaSmall = 22 * DEG_TO_RAD;  // ~22°
-    this.sigmaLarge = 75 * DEG_TO_RAD;  // ~75°
-    this.truncSmall = 60 * DEG_TO_RAD;  // cap small at 60°
-    this.truncLarge = 120 * DEG_TO_RAD; // cap large at 120°
-    // Micro jitter: per sqrt(second)
-    this.sigmaMicro = 4 * DEG_TO_RAD;
-    this.intensity = WANDER_INTENSITY;
-
-    this.nextEventAt = this.t + this.sampleExp(this.lambda);
-    this.pendingEvents = [];
-  }
-
-  sampleExp(rate) { return -Math.log(1 - Math.random()) / rate; }
-
-  sampleTruncatedNormal(sigma, maxAbs) {
-    // Centered at 0; accept-reject
-    for (let i = 0; i < 8; i++) {
-      const x = gaussian() * sigma;
-      if (Math.abs(x) <= maxAbs) return x;
-    }
-    return clamp(gaussian() * sigma, -maxAbs, maxAbs);
-  }
 
-  scheduleBurst(anchorTime) {
-    const extra = Math.random() < 0.5 ? 1 : 2;
-    for (let i = 0; i < extra; i++) {
-      const dt = randRange(0.03, 0.12); // ~30–120 ms
-      this.pendingEvents.push(anchorTime + dt);
-    }
-    this.pendingEvents.sort((a, b) => a - b);
-  }
-
-  step(angle, dt) {
-    this.t += dt;
-    // Continuous micro jitter
-    angle += gaussian() * this.sigmaMicro * Math.sqrt(Math.max(dt, 0)) * this.intensity;
-
-    // Process any due events (base or burst)
-    while (true) {
-      let eventTime = null;
-      if (this.pendingEvents.length && this.pendingEvents[0] <= this.t) {
-        eventTime = this.pendingEvents.shift();
-      } else if (this.t >= this.nextEventAt) {
-        eventTime = this.nextEventAt;
-        this.nextEventAt = this.t + this.sampleExp(this.lambda);
-        if (Math.random() < this.pBurst) this.scheduleBurst(eventTime);
-      } else {
-        break;
-      }
-
-      const useLarge = Math.random() < this.pLarge;
-      const sigma = useLarge ? this.sigmaLarge : this.sigmaSmall;
-      const trunc = useLarge ? this.truncLarge : this.truncSmall;
-      const delta = this.sampleTruncatedNormal(sigma, trunc) * this.intensity;
-      angle += delta;
-    }
-
-    return angle;
-  }
-}
-
-// Arena shape base + variants
-class Arena {
-  constructor(width, height) { this.width = width; this.height = height; }
-  // return {hit:boolean, nx:number, ny:number, reflect:boolean, x:number, y:number}
-  collideCircle(x, y, r) { return { hit: false }; }
-  draw(ctx) {}
+// Named custom arenas persist in localStorage (unavailable in some private/file:// contexts)
+const SAVED_ARENAS_KEY = 'sparkSim.arenas';
+function loadSavedArenas() {
+  try { return JSON.parse(window.localStorage.getItem(SAVED_ARENAS_KEY)) || {}; } catch (e) { return {}; }
 }
-
-class CircleArena extends Arena {
-  constructor(width, height, scale) {
-    super(width, height);
-    const radius = ARENA_RADIUS_UNITS * scale;
-    this.center = { x: width / 2, y: height / 2 };
-    this.radius = radius;
-  }
-  collideCircle(x, y, r) {
-    const dx = x - this.center.x; const dy = y - this.center.y;
-    const dist = Math.hypot(dx, dy);
-    const limit = this.radius - r;
-    if (dist > limit) {
-      const nx = dx / dist; const ny = dy / dist;
-      const px = this.center.x + nx * limit;
-      const py = this.center.y + ny * limit;
-      return { hit: true, nx, ny, reflect: true, x: px, y: py };
-    }
-    return { hit: false };
-  }
-  draw(ctx) {
-    ctx.save();
-    ctx.strokeStyle = '#334';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.arc(this.center.x, this.center.y, this.radius, 0, TWO_PI);
-    ctx.stroke();
-    ctx.restore();
-  }
+function storeSavedArenas(saved) {
+  try { window.localStorage.setItem(SAVED_ARENAS_KEY, JSON.stringify(saved)); } catch (e) { /* not persisted */ }
 }
 
-class SquareArena extends Arena {
-  constructor(width, height, scale) {
-    super(width, height);
-    const side = ARENA_RADIUS_UNITS * 2 * scale; // match circle arena diameter
-    this.rect = {
-      x: (width - side) / 2,
-      y: (height - side) / 2,
-      w: side,
-      h: side,
-    };
-  }
-  collideCircle(x, y, r) {
-    const { x: rx, y: ry, w, h } = this.rect;
-    let nx = 0, ny = 0, hit = false;
-    let px = x, py = y;
-    if (x - r < rx) { px = rx + r; nx = -1; hit = true; }
-    if (x + r > rx + w) { px = rx + w - r; nx = 1; hit = true; }
-    if (y - r < ry) { py = ry + r; ny = -1; hit = true; }
-    if (y + r > ry + h) { py = ry + h - r; ny = 1; hit = true; }
-    if (!hit) return { hit: false };
-    const norm = Math.hypot(nx, ny) || 1;
-    return { hit: true, nx: nx / norm, ny: ny / norm, reflect: true, x: px, y: py };
-  }
-  draw(ctx) {
-    const { x, y, w, h } = this.rect;
-    ctx.save();
-    ctx.strokeStyle = '#334';
-    ctx.lineWidth = 2;
-    ctx.strokeRect(x, y, w, h);
-    ctx.restore();
-  }
+function pointSegmentDistance(p, x1, y1, x2, y2) {
+  const vx = x2 - x1; const vy = y2 - y1;
+  const len2 = vx * vx + vy * vy;
+  const t = len2 > 0 ? clamp(((p.x - x1) * vx + (p.y - y1) * vy) / len2, 0, 1) : 0;
+  return Math.hypot(p.x - (x1 + t * vx), p.y - (y1 + t * vy));
 }
 
-class TJunctionArena extends Arena {
-  constructor(width, height, scale) {
-    super(width, height);
-    // Build a hollow T corridor: open connection between vertical stem and horizontal bar
-    const cx = width / 2; const cy = height / 2;
-    // World units (inner corridor sizes)
-    const stemWidthU = 100;
-    const stemHeightU = 260;
-    const barWidthU = 320;
-    const barHeightU = 80;
-
-    // Fit the full T height within the baseline circle footprint (320u) so it's centered and not clipped
-    const targetHUnits = ARENA_RADIUS_UNITS * 2; // 320u
-    const tHeightUnits = stemHeightU + barHeightU; // 340u by default
-    const fitFactor = Math.min(1, targetHUnits / tHeightUnits);
-    const sW = stemWidthU * scale * fitFactor;      // inner stem width
-    const sH = stemHeightU * scale * fitFactor;     // stem length
-    const bW = barWidthU * scale * fitFactor;       // inner bar width
-    const bH = barHeightU * scale * fitFactor;      // inner bar height
-
-    // Connection Y (where stem meets bar, at center of bar vertically)
-    const connectY = cy - sH / 2;
-    const barCenterY = connectY; // center of bar along Y
-    const barTopY = barCenterY - bH / 2;
-    const barBotY = barCenterY + bH / 2;
-
-    // Stem vertical walls terminate at bar bottom to leave opening
-    const stemLeftX = cx - sW / 2;
-    const stemRightX = cx + sW / 2;
-    const stemBotY = cy + sH / 2;
-
-    const barLeftX = cx - bW / 2;
-    const barRightX = cx + bW / 2;
-
-    // Build segments: two stem sides, stem bottom cap, bar top wall, bar bottom walls left/right (gap at stem), bar end caps
-    this.segments = [
-      // Stem sides (stop at bar bottom)
-      { x1: stemLeftX, y1: barBotY, x2: stemLeftX, y2: stemBotY },
-      { x1: stemRightX, y1: barBotY, x2: stemRightX, y2: stemBotY },
-      // Stem bottom cap
-      { x1: stemLeftX, y1: stemBotY, x2: stemRightX, y2: stemBotY },
-      // Bar top wall (continuous)
-      { x1: barLeftX, y1: barTopY, x2: barRightX, y2: barTopY },
-      // Bar bottom wall split into left and right to leave opening for stem
-      { x1: barLeftX, y1: barBotY, x2: stemLeftX, y2: barBotY },
-      { x1: stemRightX, y1: barBotY, x2: barRightX, y2: barBotY },
-      // Bar end caps
-      { x1: barLeftX, y1: barTopY, x2: barLeftX, y2: barBotY },
-      { x1: barRightX, y1: barTopY, x2: barRightX, y2: barBotY },
-    ];
-  }
-  // Reflect off segments, simple circle-line collision correction
-  collideCircle(x, y, r) {
-    for (const s of this.segments) {
-      const vx = s.x2 - s.x1; const vy = s.y2 - s.y1;
-      const wx = x - s.x1; const wy = y - s.y1;
-      const vLen2 = vx * vx + vy * vy;
-      const t = clamp((wx * vx + wy * vy) / vLen2, 0, 1);
-      const cx = s.x1 + t * vx; const cy = s.y1 + t * vy;
-      const dx = x - cx; const dy = y - cy; const d = Math.hypot(dx, dy);
-      if (d < r) {
-        const nx = dx / (d || 1); const ny = dy / (d || 1);
-        return { hit: true, nx, ny, reflect: true, x: cx + nx * r, y: cy + ny * r };
-      }
+// Remove the wall, polygon or pillar closest to p (within maxDist world units) from an arena definition
+function eraseNearest(def, p, maxDist) {
+  let best = null;
+  const consider = (d, remove) => { if (d <= maxDist && (!best || d < best.d)) best = { d, remove }; };
+  def.walls.forEach((w, i) => consider(pointSegmentDistance(p, w.x1, w.y1, w.x2, w.y2), () => def.walls.splice(i, 1)));
+  def.polygons.forEach((poly, i) => {
+    for (let k = 0; k < poly.length; k++) {
+      const a = poly[k]; const b = poly[(k + 1) % poly.length];
+      consider(pointSegmentDistance(p, a.x, a.y, b.x, b.y), () => def.polygons.splice(i, 1));
     }
-    return { hit: false };
-  }
-  draw(ctx) {
-    ctx.save();
-    ctx.strokeStyle = '#334';
-    ctx.lineWidth = 4;
-    for (const s of this.segments) {
-      ctx.beginPath();
-      ctx.moveTo(s.x1, s.y1);
-      ctx.lineTo(s.x2, s.y2);
-      ctx.stroke();
-    }
-    ctx.restore();
-  }
+  });
+  def.pillars.forEach((pl, i) => consider(Math.max(0, Math.hypot(p.x - pl.x, p.y - pl.y) - pl.r), () => def.pillars.splice(i, 1)));
+  if (best) best.remove();
 }
 
-// Entity (player/boss)
-class Entity {
-  constructor(x, y, r, color) { this.x = x; this.y = y; this.r = r; this.color = color; this.drag = false; }
-  draw(ctx) {
-    ctx.save();
-    ctx.fillStyle = this.color;
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, this.r, 0, TWO_PI);
-    ctx.fill();
-    ctx.restore();
-  }
-  contains(px, py) { return Math.hypot(px - this.x, py - this.y) <= this.r; }
-}
-
-// Projectile
-let nextCastId = 1;
-class Projectile {
-  constructor(config) {
-    this.id = Math.random().toString(36).slice(2);
-    this.castId = config.castId;
-    this.x = config.x;
-    this.y = config.y;
-    this.vx = Math.cos(config.angle) * config.speed;
-    this.vy = Math.sin(config.angle) * config.speed;
-    this.speed = config.speed;
-    this.angle = config.angle;
-    this.radius = PROJ_RADIUS_UNITS * window.__currentScale;
-    this.spawnTime = config.now;
-    this.duration = config.duration;
-    this.casterRef = config.casterRef; // live reference to caster entity (for 150u leash)
-    this.wander = new Wander(Math.PI * 2, 0.8);
-    this.pierceRemaining = config.pierceCount;
-    this.forkRemaining = config.forkTimes;
-    this.chainRemaining = config.chainCount;
-    this.splitCount = config.splitCount; // number of new projectiles when split triggers
-    this.hasSplit = false;
-  }
-  age(now) { return (now - this.spawnTime) / 1000; }
-  isExpired(now) {
-    if (this.age(now) > this.duration && this.duration >= 0) return true;
-    return false;
-  }
-  think(dt) {
-    // Update direction via wander
-    this.angle = this.wander.step(this.angle, dt);
-    const vnx = Math.cos(this.angle);
-    const vny = Math.sin(this.angle);
-    this.vx = vnx * this.speed;
-    this.vy = vny * this.speed;
-  }
-  move(dt) { this.x += this.vx * dt; this.y += this.vy * dt; }
-  reflect(nx, ny) {
-    // reflect velocity vector over normal
-    const vdotn = this.vx * nx + this.vy * ny;
-    this.vx = this.vx - 2 * vdotn * nx;
-    this.vy = this.vy - 2 * vdotn * ny;
-    this.angle = Math.atan2(this.vy, this.vx);
-  }
-  draw(ctx, colorOverride) {
-    ctx.save();
-    ctx.fillStyle = colorOverride || '#7cc5ff';
-    ctx.beginPath();
-    ctx.arc(this.x, this.y, this.radius, 0, TWO_PI);
-    ctx.fill();
-    ctx.restore();
-  }
-}
-
-/** Simulation */
+/** Simulation: canvas renderer and side-panel controller around a headless Engine */
 class Simulation {
   constructor(canvas) {
     this.canvas = canvas;
@@ -684,129 +561,207 @@ class Simulation {
     this.height = canvas.height;
     this.scale = this.computeScale(); // pixels per world unit
     this.lastTime = performance.now();
-    this.accum = 0;
-    this.fixedDt = 1 / 120; // high fidelity physics
-    this.maxTerrainStepPx = 2.0; // CCD safety step for terrain (pixels)
-
-    // Entities (positions in pixels, radii scaled from world units)
-    const cx = this.width / 2; const cy = this.height / 2;
-    this.caster = new Entity(cx - 40 * this.scale, cy + 30 * this.scale, CASTER_RADIUS_UNITS * this.scale, '#4aa3ff');
-    this.boss = new Entity(cx + 30 * this.scale, cy - 30 * this.scale, BOSS_RADIUS_UNITS * this.scale, '#ff6b6b');
-    this.casterLeash = true;
-
-    // State
-    this.projectiles = [];
-    this.running = false;
-    this.castAccumulator = 0;
-    this.castCooldown = 0; // computed from cast speed
+
     // Load from URL params first
     const __params = parseURLParams();
     const __pos = applyParamsToDOM(__params);
+    // No seed in the link: roll one so the run can still be shared and replayed
+    if (el('seed').value === '') el('seed').value = String(randomSeed());
+    this.customArena = __params.ca || null; // arena editor result, used when the layout is Custom
+    this.importedArena = __params.ia || null; // last imported geometry file, used when the layout is Imported
+    this.editor = { tool: '', points: [], hover: null }; // in-progress wall/polygon vertices
+    this.calibration = null; // {name, points, fit} for the loaded tracked trajectory
+    this.ghost = null; // trajectory overlay: tracked points, world paths and comparison (see buildGhost)
+    this.view = { trails: el('showTrails').checked, heatmap: el('showHeatmap').checked, spotMap: el('showSpotMap').checked };
+    this.spotMap = null; // caster position scan: casterSpots() grid with mean DPS per spot
+    this.trailLayer = null; // offscreen canvas the trails fade on, created when first drawn
+    this.clearHeat();
+    this.waypoints = __pos.waypointsWorld.map(a => ({ x: a[0] * ARENA_RADIUS_UNITS, y: a[1] * ARENA_RADIUS_UNITS }));
     this.config = this.readConfigFromDOM();
-    this.arena = this.createArena(this.config.arenaType);
-    // Metrics history for spark charts
+    // A/B builds: the side panel edits the active build; B starts as A plus any b.* overrides from the link
+    this.builds = { A: this.pickBuild(this.config), B: null };
+    this.builds.B = Object.assign({}, this.builds.A, __params.b);
+    this.activeBuild = 'A';
+    this.compare = __params.ab === 1;
+    // One engine per build; both share the caster and enemy entities so placement and dragging stay in sync
+    const extraEnemies = __pos.enemiesWorld.map(e => ({ x: e.x * ARENA_RADIUS_UNITS, y: e.y * ARENA_RADIUS_UNITS, r: e.r }));
+    this.engines = { A: createEngine(Object.assign(this.buildConfig('A'), { extraEnemies })), B: createEngine(this.buildConfig('B')) };
+    this.engines.B.caster = this.engines.A.caster;
+    this.engines.B.boss = this.engines.A.boss;
+    this.engines.B.enemies = this.engines.A.enemies;
+    this.recordingEvents = false; // event logs for export, only while Record Events is on
+    this.syncEntityMover();
+    this.selectedEnemy = this.engines.A.boss; // the Enemy Radius field edits this one
+    this.engines.A.running = false;
+    this.engines.B.running = false;
+    this.simSpeed = this.readSimSpeed(); // simulated seconds per wall-clock second, or 'max'
+    // Metrics history for spark charts (simulated-time stamps)
     this.metrics = {
       windowSec: 10,
       samples: [], // {t, hitsTotal, hitsPerSec, dps, totalDamage, projAlive, cooldownPct}
-      lastSampleAt: performance.now(),
-      sampleIntervalMs: 200,
+      lastSampleAt: 0,
+      sampleIntervalSec: 0.2,
+      // Whole run for the full-history chart; thinned to every other sample (and twice the interval) when full
+      history: [],
+      historyIntervalSec: 0.2,
     };
-    // Apply initial enemy radius from config
-    this.boss.r = clamp(this.config.bossRadius || BOSS_RADIUS_UNITS, 0.1, 999) * this.scale;
+    // Full-history chart view: `span` null shows the whole run; `end` null keeps a zoomed window on the latest sample
+    this.historyView = { open: false, left: 'dps', right: 'projAlive', span: null, end: null, hoverX: null, drag: null };
 
-    // Apply positions from URL
+    // Apply positions from URL (world-normalized preferred, legacy canvas-normalized as fallback)
+    const place = (ent, x, y) => ent.moveBy(x - ent.homeX, y - ent.homeY);
     if (__pos.casterWorld) {
-      const p = fromWorldNorm(this, __pos.casterWorld.x, __pos.casterWorld.y);
-      this.caster.x = p.x; this.caster.y = p.y;
+      place(this.caster, __pos.casterWorld.x * ARENA_RADIUS_UNITS, __pos.casterWorld.y * ARENA_RADIUS_UNITS);
     } else if (__pos.caster) {
-      this.caster.x = __pos.caster.x * this.width; this.caster.y = __pos.caster.y * this.height;
+      const p = screenToWorld(this, __pos.caster.x * this.width, __pos.caster.y * this.height);
+      place(this.caster, p.x, p.y);
     }
     if (__pos.bossWorld) {
-      const p = fromWorldNorm(this, __pos.bossWorld.x, __pos.bossWorld.y);
-      this.boss.x = p.x; this.boss.y = p.y;
+      place(this.boss, __pos.bossWorld.x * ARENA_RADIUS_UNITS, __pos.bossWorld.y * ARENA_RADIUS_UNITS);
     } else if (__pos.boss) {
-      this.boss.x = __pos.boss.x * this.width; this.boss.y = __pos.boss.y * this.height;
+      const p = screenToWorld(this, __pos.boss.x * this.width, __pos.boss.y * this.height);
+      place(this.boss, p.x, p.y);
     }
+    this.engines.A.resetMovement();
 
     // Ensure we always populate world-normalized positions in URL for sharing (prefer world coords only)
     updateURL(this);
 
-    // Hit tracking
-    this.hitsTotal = 0;
-    this.totalDamage = 0;
-    this.hitTimestamps = []; // for recent rate window
-    this.castTargetLocks = new Map(); // key: castId+targetId -> nextAllowedHitTime
-
     // Input
-    this.dragging = null; // 'caster' | 'boss'
+    this.dragging = null; // caster or enemy Entity
     this.installInput();
 
     // UI
     this.installUI();
 
+    // Physics: in a worker when one can be started (not from file://), else on this thread. Either way the
+    // engines above hold the scene (configs, placement) and the renderer reads packed frames.
+    this.frames = {}; // latest Engine.packFrame() per live build
+    this.physics = null; // {worker, awaiting, pendingSec} while the worker runs the physics
+    this.startPhysicsWorker();
+
     requestAnimationFrame((t) => this.loop(t));
   }
 
-  // Enemy behavior helpers (separate for clarity and testability)
-  applySplit(proj, nowTs) {
-    const n = Math.max(1, proj.splitCount);
-    for (let i = 0; i < n; i++) {
-      const theta = (i / n) * TWO_PI;
-      this.projectiles.push(new Projectile({
-        castId: proj.castId,
-        x: proj.x,
-        y: proj.y,
-        angle: theta,
-        speed: proj.speed,
-        now: nowTs,
-        duration: Math.max(0, proj.duration - proj.age(nowTs)),
-        casterRef: this.caster,
-        pierceCount: proj.pierceRemaining,
-        forkTimes: proj.forkRemaining,
-        chainCount: proj.chainRemaining,
-        splitCount: 0,
-      }));
-    }
-    return 'remove';
-  }
-
-  applyPierce(proj, dx, dy, d) {
-    proj.pierceRemaining -= 1;
-    // Nudge forward to avoid persistent overlap on the rim after a pierce
-    const nx = dx / (d || 1); const ny = dy / (d || 1);
-    proj.x = this.boss.x + nx * (this.boss.r + proj.radius + 0.5);
-    return 'keep';
-  }
-
-  applyFork(proj, nowTs) {
-    const base = Math.atan2(proj.vy, proj.vx);
-    const childAngles = [base + FORK_ANGLE_RAD, base - FORK_ANGLE_RAD];
-    if (Math.random() * 100 < this.config.forkChance) childAngles.push(base);
-    for (const a of childAngles) {
-      this.projectiles.push(new Projectile({
-        castId: proj.castId,
-        x: proj.x,
-        y: proj.y,
-        angle: a,
-        speed: proj.speed,
-        now: nowTs,
-        duration: Math.max(0, proj.duration - proj.age(nowTs)),
-        casterRef: this.caster,
-        pierceCount: proj.pierceRemaining,
-        forkTimes: proj.forkRemaining - 1,
-        chainCount: proj.chainRemaining,
-        splitCount: 0,
-      }));
+  // Engine for the build being edited (and drawn in full); the other build is overlaid when comparing
+  get engine() { return this.engines[this.activeBuild]; }
+  get otherBuild() { return this.activeBuild === 'A' ? 'B' : 'A'; }
+  get caster() { return this.engine.caster; }
+  get boss() { return this.engine.boss; }
+
+  pickBuild(config) {
+    const out = {};
+    for (const f of BUILD_FIELDS) out[f.key] = config[f.key];
+    return out;
+  }
+
+  // Side-panel config with the named build's fields swapped in
+  buildConfig(name) { return Object.assign({}, this.config, this.builds[name]); }
+
+  writeBuildToDOM(build) {
+    for (const f of BUILD_FIELDS) el(f.key).value = fieldText(f, build[f.key]);
+    this.config = this.readConfigFromDOM();
+    this.refreshSkillPanel();
+    el('coneOptions').style.display = this.config.castShape === 'cone' ? 'block' : 'none';
+  }
+
+  // Apply the panel to the active build and push both builds' configs to their engines
+  applyConfig() {
+    if (this.selectedEnemy !== this.boss) this.selectedEnemy.r = clamp(Number(el('bossRadius').value) || BOSS_RADIUS_UNITS, 0.1, 999);
+    this.config = this.readConfigFromDOM();
+    this.builds[this.activeBuild] = this.pickBuild(this.config);
+    this.engines.A.setConfig(this.buildConfig('A'));
+    this.engines.B.setConfig(this.buildConfig('B'));
+    this.postScene();
+    if (this.ghost) this.buildGhost();
+  }
+
+  // Only one engine moves the shared enemies: A while comparing (B steps in lockstep), else the one that runs
+  syncEntityMover() {
+    this.engines.A.movesEntities = this.compare || this.activeBuild === 'A';
+    this.engines.B.movesEntities = !this.engines.A.movesEntities;
+  }
+
+  // Restart both engines together so the builds run the same seed from the same instant
+  resetEngines() {
+    this.engines.A.reset();
+    this.engines.B.reset();
+    this.postScene(true);
+  }
+
+  setRunning(running) {
+    this.engines.A.running = running;
+    this.engines.B.running = running;
+    this.postScene();
+  }
+
+  startPhysicsWorker() {
+    let worker;
+    try { worker = new Worker('./worker.js'); } catch (err) { return; }
+    this.physics = { worker, awaiting: false, pendingSec: 0 };
+    worker.onmessage = (e) => this.onPhysicsMessage(e.data);
+    worker.onerror = () => {
+      // Failed to load (or crashed): carry on with the engines on this thread from a fresh run
+      worker.terminate();
+      this.physics = null;
+      this.resetEngines();
+    };
+    this.postScene(true);
+  }
+
+  // Mirror configs, flags and entities to the physics worker (no-op when physics runs on this thread)
+  postScene(reset = false) {
+    if (!this.physics) return;
+    this.physics.worker.postMessage({
+      type: 'scene',
+      configs: { A: this.buildConfig('A'), B: this.buildConfig('B') },
+      compare: this.compare,
+      activeBuild: this.activeBuild,
+      running: this.engines.A.running,
+      entities: this.entityList(),
+      recordEvents: this.recordingEvents,
+      reset,
+    });
+  }
+
+  // Placement only (drags, added/removed enemies)
+  postEntities() {
+    if (this.physics) this.physics.worker.postMessage({ type: 'entities', entities: this.entityList() });
+  }
+
+  entityList() {
+    return [this.caster, ...this.engine.enemies].map(e => ({ id: e.id, homeX: e.homeX, homeY: e.homeY, r: e.r, drag: e.drag }));
+  }
+
+  onPhysicsMessage(msg) {
+    if (!this.physics) return;
+    if (msg.type === 'events') {
+      this.saveEvents(msg.format, msg.build, msg.events, msg.dropped);
+      return;
     }
-    return 'remove';
+    if (msg.type !== 'frame') return;
+    this.physics.awaiting = false;
+    this.frames = msg.frames;
+    this.recordHeat();
+    // Moving entities follow the worker, except one being dragged here. A frame from before an enemy was
+    // added or removed is skipped; the next one lines up again.
+    const ents = [this.caster, ...this.engine.enemies];
+    if (msg.entities.length !== ents.length * 2) return;
+    ents.forEach((ent, i) => {
+      if (!ent.drag) { ent.x = msg.entities[i * 2]; ent.y = msg.entities[i * 2 + 1]; }
+    });
   }
 
-  applyChain(proj, dx, dy, d) {
-    // Behave like pierce when no alternate target exists: decrement and continue through
-    if (proj.chainRemaining > 0) proj.chainRemaining -= 1;
-    const nx = dx / (d || 1); const ny = dy / (d || 1);
-    proj.x = this.boss.x + nx * (this.boss.r + proj.radius + 0.5);
-    return 'keep';
+  setActiveBuild(name) {
+    if (name === this.activeBuild) return;
+    this.builds[this.activeBuild] = this.pickBuild(this.readConfigFromDOM());
+    this.activeBuild = name;
+    this.syncEntityMover();
+    this.writeBuildToDOM(this.builds[name]);
+    this.applyConfig();
+    // Without live compare the other engine sat idle; restart so the charts follow a fresh run
+    if (!this.compare) this.resetEngines();
+    updateURL(this);
   }
 
   computeScale() {
@@ -818,13 +773,32 @@ class Simulation {
     return Math.max(0.5, Math.min(sx, sy));
   }
 
+  // Canvas size changed: only the world->pixel mapping moves, the engine state is untouched
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.scale = this.computeScale();
+    // The overlay layers are laid out in screen space; start them over at the new size
+    this.trailLayer = null;
+    this.clearHeat();
+    if (this.historyView.open) { this.sizeHistoryChart(); this.drawHistory(); }
+  }
+
+  readSimSpeed() {
+    const v = el('simSpeed').value;
+    return v === 'max' ? 'max' : clamp(Number(v) || 1, 0.25, 50);
+  }
+
   readConfigFromDOM() {
     const getNum = (id) => Number(el(id).value);
     const getSel = (id) => el(id).value;
     const castSpeed = getNum('castSpeed');
     return {
       arenaType: getSel('arenaType'),
-      avgHit: getNum('avgHit'),
+      customArena: this.customArena,
+      importedArena: this.importedArena,
+      ...this.readDamageFromDOM(),
+      ...this.readSkillFromDOM(),
       projSpeedMod: Number(el('projSpeedMod').value),
       projectileCount: getNum('projectileCount'),
       castSpeed,
@@ -838,27 +812,382 @@ class Simulation {
       chainCount: getNum('chainCount'),
       splitCount: getNum('splitCount'),
       forkChance: clamp(Number(el('forkChance')?.value || 0), 0, 100),
-      bossRadius: Number(el('bossRadius')?.value || BOSS_RADIUS_UNITS),
+      // The radius field shows the selected enemy; the boss keeps its own radius while another is selected
+      bossRadius: this.selectedEnemy && this.selectedEnemy !== this.boss ? this.boss.r : Number(el('bossRadius')?.value || BOSS_RADIUS_UNITS),
+      chainRange: Math.max(0, Number(el('chainRange').value) || 0),
+      enemyResist: clamp(getNum('enemyResist') || 0, -200, 100),
+      bossLife: Math.max(0, getNum('bossLife') || 0),
+      bossEs: Math.max(0, getNum('bossEs') || 0),
+      bossRegen: Math.max(0, getNum('bossRegen') || 0),
+      bossPhases: parseBossPhases(el('bossPhases').value),
+      enemyMovement: getSel('enemyMovement'),
+      enemyMoveSpeed: Math.max(0, getNum('enemyMoveSpeed') || 0),
+      enemyMoveRange: Math.max(0, getNum('enemyMoveRange') || 0),
+      teleportInterval: Math.max(0.1, getNum('teleportInterval') || 0),
+      casterMovement: getSel('casterMovement'),
+      casterMoveSpeed: Math.max(0, getNum('casterMoveSpeed') || 0),
+      casterPause: Math.max(0, getNum('casterPause') || 0),
+      castWhileMoving: el('castWhileMoving').checked,
+      casterWaypoints: this.waypoints.slice(),
+      ...this.readWanderFromDOM(),
+      steadyWindowSec: Math.max(DAMAGE_BIN_SEC, getNum('steadyWindowSec') || DEFAULT_CONFIG.steadyWindowSec),
+      steadyTolerancePct: clamp(getNum('steadyTolerancePct') || 0, 0, 100),
+      burstSec: Math.max(DAMAGE_BIN_SEC, getNum('burstSec') || DEFAULT_CONFIG.burstSec),
+      seed: getNum('seed') >>> 0,
+    };
+  }
+
+  // Damage model fields; blank or invalid numbers fall back to the defaults
+  readDamageFromDOM() {
+    const out = {};
+    for (const f of DAMAGE_FIELDS) {
+      const v = Number(el(f.key).value);
+      out[f.key] = el(f.key).value !== '' && Number.isFinite(v) && v >= 0 ? v : DEFAULT_CONFIG[f.key];
+    }
+    out.damageMax = Math.max(out.damageMin, out.damageMax);
+    return out;
+  }
+
+  // Skill profile fields; blank or invalid numbers fall back to Spark's
+  readSkillFromDOM() {
+    const out = {};
+    for (const f of SKILL_FIELDS) {
+      if (f.parse) { out[f.key] = f.parse(el(f.key).value); continue; }
+      const v = Number(el(f.key).value);
+      out[f.key] = el(f.key).value !== '' && Number.isFinite(v) && v >= 0 ? v : DEFAULT_CONFIG[f.key];
+    }
+    return out;
+  }
+
+  // Profile picker follows the fields ("Custom" once edited)
+  refreshSkillPanel() {
+    el('skillProfile').value = matchSkillProfile(this.config) || 'custom';
+  }
+
+  // Motion model fields; blank or invalid numbers fall back to the defaults
+  readWanderFromDOM() {
+    const out = { wanderModel: el('wanderModel').value };
+    for (const f of WANDER_FIELDS.slice(1)) {
+      const v = Number(el(f.key).value);
+      out[f.key] = el(f.key).value !== '' && Number.isFinite(v) && v >= 0 ? v : DEFAULT_CONFIG[f.key];
+    }
+    out.wanderRate = Math.max(0.01, out.wanderRate);
+    return out;
+  }
+
+  // Preset picker follows the fields ("Custom" once edited); only the chosen model's fields show
+  refreshWanderPanel() {
+    el('wanderPreset').value = matchWanderPreset(this.config) || 'custom';
+    const model = this.config.wanderModel;
+    el('wanderSparkOptions').style.display = model === 'spark' ? 'block' : 'none';
+    el('wanderTurnOptions').style.display = model === 'randomWalk' || model === 'ou' ? '' : 'none';
+    el('wanderReversionField').style.display = model === 'ou' ? '' : 'none';
+  }
+
+  // Motion calibration: load a tracked CSV, fit the Spark wander parameters, apply them as the motion settings
+  installCalibration() {
+    el('calibFile').addEventListener('change', () => {
+      const file = el('calibFile').files[0];
+      if (!file) return;
+      file.text().then((text) => {
+        this.calibration = { name: file.name, points: parseTrajectoryCSV(text), fit: null };
+        this.runCalibration();
+      }).catch((err) => {
+        el('calibStatus').textContent = 'Could not read ' + file.name + ': ' + err.message;
+      }).finally(() => { el('calibFile').value = ''; });
+    });
+    for (const id of ['calibWindow', 'calibEventDeg']) {
+      el(id).addEventListener('change', () => { if (this.calibration) this.runCalibration(); });
+    }
+    el('calibApplyBtn').addEventListener('click', () => {
+      if (!this.calibration || !this.calibration.fit) return;
+      const values = this.calibration.fit.values;
+      for (const f of WANDER_FIELDS) el(f.key).value = String(values[f.key]);
+      this.applyConfig();
+      this.refreshWanderPanel();
+      updateURL(this);
+      el('calibStatus').textContent = 'Applied the fit to ' + this.calibration.name + ' as the motion settings.';
+    });
+  }
+
+  runCalibration() {
+    const cal = this.calibration;
+    const opts = {
+      windowSec: Math.max(0.005, Number(el('calibWindow').value) || 0.1),
+      eventDeg: clamp(Number(el('calibEventDeg').value) || 15, 1, 179),
+    };
+    try {
+      cal.fit = fitWanderParams(cal.points, opts);
+    } catch (err) {
+      cal.fit = null;
+      el('calibStatus').textContent = 'Could not fit ' + cal.name + ': ' + err.message;
+      el('calibApplyBtn').disabled = true;
+      return;
+    }
+    const { measured, fitted, values } = cal.fit;
+    const median = (angles) => percentile(angles.map(Math.abs).sort((a, b) => a - b), 50);
+    const pair = (a, b, digits) => a.toFixed(digits) + ' / ' + b.toFixed(digits);
+    el('calibRate').textContent = pair(measured.rate, fitted.rate, 2);
+    el('calibBurst').textContent = pair(measured.burstShare, fitted.burstShare, 2);
+    el('calibMedian').textContent = pair(median(measured.angles), median(fitted.angles), 1);
+    el('calibJitter').textContent = pair(measured.jitterDeg, fitted.jitterDeg, 1);
+    el('calibStatus').textContent = 'Fitted ' + cal.name + ': ' + cal.points.length + ' points over ' + measured.duration.toFixed(1)
+      + ' s, ' + measured.angles.length + ' events (measured / fitted).';
+    this.drawFitHistogram('calibTurnHist', measured.angles.map(Math.abs), fitted.angles.map(Math.abs), 180);
+    this.drawFitHistogram('calibIntervalHist', measured.intervals, fitted.intervals, 1);
+    const preset = {};
+    for (const k of WANDER_KEYS) if (values[k] !== DEFAULT_CONFIG[k]) preset[k] = values[k];
+    el('calibPreset').value = JSON.stringify(preset, null, 1);
+    el('calibApplyBtn').disabled = false;
+  }
+
+  // Trajectory overlay: load a tracked CSV and replay it from the caster beside simulated Spark paths
+  installGhost() {
+    el('ghostFile').addEventListener('change', () => {
+      const file = el('ghostFile').files[0];
+      if (!file) return;
+      file.text().then((text) => {
+        this.ghost = { name: file.name, points: parseTrajectoryCSV(text) };
+        this.replayGhost();
+        el('ghostReplayBtn').disabled = el('ghostClearBtn').disabled = false;
+      }).catch((err) => {
+        el('ghostStatus').textContent = 'Could not read ' + file.name + ': ' + err.message;
+      }).finally(() => { el('ghostFile').value = ''; });
+    });
+    for (const id of ['ghostScale', 'ghostOriginX', 'ghostOriginY']) {
+      el(id).addEventListener('change', () => { if (this.ghost) this.buildGhost(); });
+    }
+    el('ghostReplayBtn').addEventListener('click', () => { if (this.ghost) this.replayGhost(); });
+    el('ghostClearBtn').addEventListener('click', () => {
+      this.ghost = null;
+      el('ghostReplayBtn').disabled = el('ghostClearBtn').disabled = true;
+      for (const id of ['ghostScaleOut', 'ghostTortuosity', 'ghostMsd']) el(id).textContent = '–';
+      el('ghostStatus').textContent = 'Overlay cleared.';
+      const c = el('ghostMsdChart');
+      c.getContext('2d').clearRect(0, 0, c.width, c.height);
+    });
+  }
+
+  // Start the overlay over from the caster's current position
+  replayGhost() {
+    this.ghost.anchor = { x: this.caster.x, y: this.caster.y };
+    this.ghost.startTime = null; // set from the next frame's clock
+    this.buildGhost();
+  }
+
+  /**
+   * Place the tracked path in world units (origin pixel on the anchor, auto scale matching the projectile
+   * speed), simulate Spark paths from its start along its first heading at its speed, and compare the two.
+   */
+  buildGhost() {
+    const g = this.ghost;
+    let comparison;
+    try {
+      comparison = compareTrajectory(g.points, this.config, { seed: this.config.seed });
+    } catch (err) {
+      this.ghost = null;
+      el('ghostStatus').textContent = 'Could not use ' + g.name + ': ' + err.message;
+      el('ghostReplayBtn').disabled = el('ghostClearBtn').disabled = true;
+      return;
+    }
+    const scaleIn = Number(el('ghostScale').value);
+    const projSpeed = this.engine.config.baseProjSpeed * (this.config.projSpeedMod || 1);
+    const scale = scaleIn > 0 ? scaleIn : (comparison.speed > 0 ? projSpeed / comparison.speed : 1);
+    const first = g.points[0];
+    const ox = el('ghostOriginX').value !== '' ? Number(el('ghostOriginX').value) : first.x;
+    const oy = el('ghostOriginY').value !== '' ? Number(el('ghostOriginY').value) : first.y;
+    g.duration = comparison.duration;
+    g.path = g.points.map(p => ({ t: p.t - first.t, x: g.anchor.x + (p.x - ox) * scale, y: g.anchor.y + (p.y - oy) * scale }));
+    const start = g.path[0];
+    g.sims = [];
+    for (let i = 0; i < GHOST_SIM_PATHS; i++) {
+      const sim = simulateWanderTrack(this.config, g.duration, trialSeed(this.config.seed, i), comparison.speed * scale, comparison.heading);
+      g.sims.push(sim.map(p => ({ t: p.t, x: start.x + p.x, y: start.y + p.y })));
+    }
+
+    const s2 = scale * scale;
+    const last = comparison.lags.length - 1;
+    el('ghostScaleOut').textContent = scale.toFixed(3) + (scaleIn > 0 ? '' : ' (auto)');
+    el('ghostTortuosity').textContent = comparison.track.tortuosity.toFixed(2) + ' / ' + comparison.sim.tortuosity.toFixed(2);
+    el('ghostMsd').textContent = last < 0 ? '–' : formatShortNumber(comparison.track.msd[last] * s2, 1) + ' / '
+      + formatShortNumber(comparison.sim.msd[last] * s2, 1) + ' (' + comparison.lags[last].toFixed(1) + ' s)';
+    el('ghostStatus').textContent = g.name + ': ' + g.points.length + ' points over ' + g.duration.toFixed(1) + ' s at '
+      + formatShortNumber(comparison.speed * scale, 1) + ' units/s; simulated paths use the current motion settings.';
+    this.drawMsdChart('ghostMsdChart', comparison.lags, comparison.track.msd.map(v => v * s2), comparison.sim.msd.map(v => v * s2));
+  }
+
+  // Trails and heatmap follow their checkboxes; each keeps building up until cleared
+  installOverlays() {
+    el('showTrails').addEventListener('change', () => {
+      this.view.trails = el('showTrails').checked;
+      this.trailLayer = null;
+      updateURL(this);
+    });
+    el('showHeatmap').addEventListener('change', () => {
+      this.view.heatmap = el('showHeatmap').checked;
+      this.heat.lastTime = null;
+      updateURL(this);
+    });
+    el('trailsResetBtn').addEventListener('click', () => { this.trailLayer = null; });
+    el('heatResetBtn').addEventListener('click', () => { this.clearHeat(); });
+  }
+
+  // Full-history chart panel over the stage: wheel zooms around the cursor, drag pans, double-click shows the whole run
+  installHistoryChart() {
+    const v = this.historyView;
+    const c = el('historyChart');
+    const fill = (sel, value, none) => {
+      sel.innerHTML = (none ? '<option value="">None</option>' : '') +
+        HISTORY_SERIES.map(f => `<option value="${f.key}">${f.label}</option>`).join('');
+      sel.value = value;
+    };
+    fill(el('historyLeft'), v.left, false);
+    fill(el('historyRight'), v.right, true);
+    el('historyLeft').addEventListener('change', () => { v.left = el('historyLeft').value; this.drawHistory(); });
+    el('historyRight').addEventListener('change', () => { v.right = el('historyRight').value; this.drawHistory(); });
+    const show = (open) => {
+      v.open = open;
+      el('historyPanel').hidden = !open;
+      el('historyBtn').textContent = open ? 'Hide Full History' : 'Full History';
+      if (open) { this.sizeHistoryChart(); this.drawHistory(); }
+    };
+    el('historyBtn').addEventListener('click', () => show(!v.open));
+    el('historyCloseBtn').addEventListener('click', () => show(false));
+    const whole = () => { v.span = v.end = null; this.drawHistory(); };
+    el('historyFitBtn').addEventListener('click', whole);
+    c.addEventListener('dblclick', whole);
+
+    // Pointer x in canvas pixels
+    const px = (e) => {
+      const rect = c.getBoundingClientRect();
+      return (e.clientX - rect.left) * (rect.width ? c.width / rect.width : 1);
+    };
+    c.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const r = this.historyRange();
+      if (!r) return;
+      const f = e.deltaY > 0 ? 1.25 : 0.8;
+      const tc = clamp(r.toT(px(e)), r.t0, r.t1);
+      this.setHistoryWindow(tc - (tc - r.t0) * f, tc + (r.t1 - tc) * f);
+    }, { passive: false });
+    c.addEventListener('mousedown', (e) => {
+      const r = this.historyRange();
+      if (r) v.drag = { x: px(e), t0: r.t0, t1: r.t1, perPx: (r.t1 - r.t0) / r.plotW };
+    });
+    c.addEventListener('mousemove', (e) => {
+      v.hoverX = px(e);
+      if (v.drag && v.span !== null) {
+        const dt = (v.drag.x - v.hoverX) * v.drag.perPx;
+        this.setHistoryWindow(v.drag.t0 + dt, v.drag.t1 + dt);
+      } else {
+        this.drawHistory();
+      }
+    });
+    c.addEventListener('mouseleave', () => { v.hoverX = null; this.drawHistory(); });
+    window.addEventListener('mouseup', () => { v.drag = null; });
+  }
+
+  // The chart canvas matches its on-screen width (the stage can resize while the panel is open)
+  sizeHistoryChart() {
+    const c = el('historyChart');
+    if (c.clientWidth > 0) c.width = c.clientWidth;
+  }
+
+  // Visible time range of the full-history chart and its pixel mapping, or null before two samples exist
+  historyRange() {
+    const hist = this.metrics.history;
+    if (hist.length < 2) return null;
+    const v = this.historyView;
+    const tMax = hist[hist.length - 1].t;
+    const pad = { l: 52, r: v.right ? 52 : 16, t: 22, b: 22 };
+    const plotW = el('historyChart').width - pad.l - pad.r;
+    let t0 = 0;
+    let t1 = tMax;
+    if (v.span !== null) {
+      t1 = v.end === null ? tMax : v.end;
+      t0 = Math.max(0, t1 - v.span);
+    }
+    const X = (t) => pad.l + ((t - t0) / (t1 - t0)) * plotW;
+    const toT = (x) => t0 + ((x - pad.l) / plotW) * (t1 - t0);
+    return { t0, t1, pad, plotW, X, toT };
+  }
+
+  // Zoom/pan target, kept inside the run. A window reaching the latest sample follows the run as it grows;
+  // one covering the whole run drops the zoom.
+  setHistoryWindow(t0, t1) {
+    const v = this.historyView;
+    const tMax = this.metrics.history[this.metrics.history.length - 1].t;
+    const span = Math.max(HISTORY_MIN_SPAN_SEC, t1 - t0);
+    if (span >= tMax) {
+      v.span = v.end = null;
+    } else {
+      const end = clamp(t0 + span, span, tMax);
+      v.span = span;
+      v.end = end >= tMax ? null : end;
+    }
+    this.drawHistory();
+  }
+
+  // Occupancy grid over the world area the canvas shows, and hit counts by perimeter bin per enemy id
+  clearHeat() {
+    const cols = Math.ceil(this.width / this.scale / HEAT_CELL_UNITS);
+    const rows = Math.ceil(this.height / this.scale / HEAT_CELL_UNITS);
+    const canvas = this.heat ? this.heat.canvas : document.createElement('canvas');
+    canvas.width = cols;
+    canvas.height = rows;
+    this.heat = {
+      cols, rows,
+      x0: -cols * HEAT_CELL_UNITS / 2, y0: -rows * HEAT_CELL_UNITS / 2,
+      grid: new Float32Array(cols * rows), // simulated seconds of projectile presence per cell
+      rings: new Map(),
+      lastTime: null, // simulated time of the last recorded frame
+      canvas, // grid as an image, one pixel per cell
+      dirty: true,
     };
   }
 
-  createArena(type) {
-    if (type === 'square') return new SquareArena(this.width, this.height, this.scale);
-    if (type === 'tjunction') return new TJunctionArena(this.width, this.height, this.scale);
-    return new CircleArena(this.width, this.height, this.scale);
+  // Fold the active build's latest frame into the heatmap: each projectile adds the simulated time since the
+  // previous frame to its cell, each hit one count to its perimeter bin
+  recordHeat() {
+    const frame = this.frames[this.activeBuild];
+    if (!this.view.heatmap || !frame) return;
+    const h = this.heat;
+    const dt = h.lastTime === null || frame.time < h.lastTime ? 0 : frame.time - h.lastTime;
+    h.lastTime = frame.time;
+    const buf = frame.projectiles;
+    if (dt > 0) {
+      for (let i = 0; i < buf.length; i += 3) {
+        const cx = Math.floor((buf[i] - h.x0) / HEAT_CELL_UNITS);
+        const cy = Math.floor((buf[i + 1] - h.y0) / HEAT_CELL_UNITS);
+        if (cx >= 0 && cx < h.cols && cy >= 0 && cy < h.rows) h.grid[cy * h.cols + cx] += dt;
+      }
+    }
+    const marks = frame.hitMarks;
+    for (let i = 0; i < marks.length; i += 2) {
+      const enemy = this.engine.enemies[marks[i]];
+      if (!enemy) continue;
+      let bins = h.rings.get(enemy.id);
+      if (!bins) h.rings.set(enemy.id, bins = new Float64Array(HEAT_RING_BINS));
+      const a = ((marks[i + 1] % TWO_PI) + TWO_PI) % TWO_PI;
+      bins[Math.min(HEAT_RING_BINS - 1, Math.floor((a / TWO_PI) * HEAT_RING_BINS))] += 1;
+    }
+    h.dirty = true;
   }
 
   installUI() {
     const ids = [
-      'arenaType','avgHit','projSpeedMod','projectileCount','castSpeed','duration','castShape','casterFacingDeg','pierceCount','forkTimes','chainCount','splitCount','forkChance','bossRadius'
+      'arenaType','projSpeedMod','projectileCount','castSpeed','duration','castShape','casterFacingDeg','pierceCount','forkTimes','chainCount','splitCount','forkChance','bossRadius','enemyResist','bossLife','bossEs','bossRegen','bossPhases','chainRange','enemyMovement','enemyMoveSpeed','enemyMoveRange','teleportInterval','casterMovement','casterMoveSpeed','casterPause','castWhileMoving','steadyWindowSec','steadyTolerancePct','burstSec','seed',
+      ...WANDER_FIELDS.map(f => f.key),
+      ...DAMAGE_FIELDS.map(f => f.key),
+      ...SKILL_FIELDS.map(f => f.key)
     ];
     for (const id of ids) {
       document.getElementById(id).addEventListener('input', () => {
-        this.config = this.readConfigFromDOM();
-        this.arena = this.createArena(this.config.arenaType);
+        // live-apply to the engines (arena, enemy radius, emission settings)
+        this.applyConfig();
         document.getElementById('coneOptions').style.display = this.config.castShape === 'cone' ? 'block' : 'none';
-        // live-apply enemy radius
-        this.boss.r = clamp(this.config.bossRadius, 0.1, 999) * this.scale;
+        this.refreshWanderPanel();
+        this.refreshSkillPanel();
 
         // write URL params on any config change
         updateURL(this);
@@ -868,7 +1197,12 @@ class Simulation {
     // Ensure facing updates URL immediately on drag in all browsers
     const facingEl = document.getElementById('casterFacingDeg');
     if (facingEl) {
-      const onFace = () => { this.config.casterFacingDeg = Number(facingEl.value); updateURL(this); };
+      const onFace = () => {
+        this.config.casterFacingDeg = Number(facingEl.value);
+        this.engine.config.casterFacingDeg = this.config.casterFacingDeg;
+        this.postScene();
+        updateURL(this);
+      };
       facingEl.addEventListener('input', onFace);
       facingEl.addEventListener('change', onFace);
     }
@@ -879,237 +1213,739 @@ class Simulation {
       updateURL(this);
     });
 
-    document.getElementById('startBtn').addEventListener('click', () => { this.running = true; });
-    document.getElementById('stopBtn').addEventListener('click', () => { this.running = false; });
-    document.getElementById('resetBtn').addEventListener('click', () => { this.reset(); });
+    document.getElementById('simSpeed').addEventListener('change', () => {
+      this.simSpeed = this.readSimSpeed();
+      updateURL(this);
+    });
+
+    document.getElementById('startBtn').addEventListener('click', () => { this.setRunning(true); });
+    document.getElementById('stopBtn').addEventListener('click', () => { this.setRunning(false); });
+    document.getElementById('resetBtn').addEventListener('click', () => { this.resetEngines(); });
 
     document.getElementById('coneOptions').style.display = this.config.castShape === 'cone' ? 'block' : 'none';
-  }
 
-  installInput() {
-    const rect = () => this.canvas.getBoundingClientRect();
-    const toCanvas = (e) => ({ x: e.clientX - rect().left, y: e.clientY - rect().top });
+    // Motion presets fill the model fields
+    const presetSel = el('wanderPreset');
+    for (const p of WANDER_PRESETS.concat([{ key: 'custom', label: 'Custom' }])) {
+      const opt = document.createElement('option');
+      opt.value = p.key; opt.textContent = p.label;
+      presetSel.appendChild(opt);
+    }
+    presetSel.addEventListener('change', () => {
+      if (presetSel.value === 'custom') return;
+      const values = wanderPreset(presetSel.value);
+      for (const f of WANDER_FIELDS) el(f.key).value = String(values[f.key]);
+      this.applyConfig();
+      this.refreshWanderPanel();
+      updateURL(this);
+    });
+    this.refreshWanderPanel();
+
+    // Skill profiles fill the skill fields of the build being edited
+    const profileSel = el('skillProfile');
+    for (const p of SKILL_PROFILES.concat([{ key: 'custom', label: 'Custom' }])) {
+      const opt = document.createElement('option');
+      opt.value = p.key; opt.textContent = p.label;
+      profileSel.appendChild(opt);
+    }
+    profileSel.addEventListener('change', () => {
+      if (profileSel.value === 'custom') return;
+      const values = skillProfile(profileSel.value);
+      for (const f of SKILL_FIELDS) el(f.key).value = fieldText(f, values[f.key]);
+      this.applyConfig();
+      this.refreshSkillPanel();
+      updateURL(this);
+    });
+    this.refreshSkillPanel();
 
-    this.canvas.addEventListener('mousedown', (e) => {
-      const p = toCanvas(e);
-      if (this.caster.contains(p.x, p.y)) { this.dragging = 'caster'; this.caster.drag = true; }
-      else if (this.boss.contains(p.x, p.y)) { this.dragging = 'boss'; this.boss.drag = true; }
+    this.installArenaEditor();
+    this.installCalibration();
+    this.installGhost();
+    this.installOverlays();
+    this.installHistoryChart();
+
+    el('clearWaypointsBtn').addEventListener('click', () => {
+      this.waypoints = [];
+      this.applyConfig();
+      updateURL(this);
     });
-    window.addEventListener('mousemove', (e) => {
-      if (!this.dragging) return;
-      const p = toCanvas(e);
-      if (this.dragging === 'caster') { this.caster.x = p.x; this.caster.y = p.y; }
-      if (this.dragging === 'boss') { this.boss.x = p.x; this.boss.y = p.y; }
-      // update URL for positions
+
+    // Enemies: new ones appear around the boss; the boss itself can't be removed
+    el('addEnemyBtn').addEventListener('click', () => {
+      const n = this.engine.enemies.length;
+      const a = n * 2.4;
+      const x = clamp(this.boss.homeX + Math.cos(a) * 25, -ARENA_RADIUS_UNITS, ARENA_RADIUS_UNITS);
+      const y = clamp(this.boss.homeY + Math.sin(a) * 25, -ARENA_RADIUS_UNITS, ARENA_RADIUS_UNITS);
+      this.selectEnemy(this.engines.A.addEnemy(x, y, this.selectedEnemy.r));
+      this.postEntities();
       updateURL(this);
     });
-    window.addEventListener('mouseup', () => {
-      this.dragging = null; this.caster.drag = false; this.boss.drag = false;
+    el('removeEnemyBtn').addEventListener('click', () => {
+      if (this.selectedEnemy === this.boss) return;
+      this.engines.A.removeEnemy(this.selectedEnemy);
+      this.selectEnemy(this.boss);
+      this.postEntities();
+      updateURL(this);
+    });
+    this.selectEnemy(this.boss);
+
+    document.getElementById('batchRunBtn').addEventListener('click', () => { this.runBatch(); });
+    document.getElementById('batchCancelBtn').addEventListener('click', () => { this.cancelBatch(); });
+
+    // Parameter sweep: options come from the engine's sweepable fields; picking one prefills its range
+    const sweepSel = el('sweepParam');
+    for (const p of SWEEP_PARAMS) {
+      const opt = document.createElement('option');
+      opt.value = p.key; opt.textContent = p.label;
+      sweepSel.appendChild(opt);
+    }
+    const prefillSweep = () => {
+      const p = SWEEP_PARAMS.find(q => q.key === sweepSel.value);
+      el('sweepFrom').value = String(p.from); el('sweepTo').value = String(p.to); el('sweepStep').value = String(p.step);
+    };
+    sweepSel.addEventListener('change', prefillSweep);
+    prefillSweep();
+    document.getElementById('sweepRunBtn').addEventListener('click', () => { this.runSweep(); });
+    document.getElementById('sweepCancelBtn').addEventListener('click', () => { this.cancelBatch(); });
+
+    // A/B compare
+    el('abEdit').addEventListener('change', () => { this.setActiveBuild(el('abEdit').value); });
+    el('abLive').checked = this.compare;
+    el('abLive').addEventListener('change', () => {
+      this.compare = el('abLive').checked;
+      this.syncEntityMover();
+      this.resetEngines();
+      updateURL(this);
+    });
+    el('abCopyBtn').addEventListener('click', () => {
+      this.builds[this.otherBuild] = this.pickBuild(this.readConfigFromDOM());
+      this.applyConfig();
+      this.resetEngines();
+      updateURL(this);
     });
+    el('abRunBtn').addEventListener('click', () => { this.runComparison(); });
+    el('abCancelBtn').addEventListener('click', () => { this.cancelBatch(); });
+    el('spotRunBtn').addEventListener('click', () => { this.runSpotScan(); });
+    el('recordEvents').addEventListener('change', () => { this.setEventRecording(el('recordEvents').checked); });
+    el('eventsCsvBtn').addEventListener('click', () => { this.exportEvents('csv'); });
+    el('eventsJsonBtn').addEventListener('click', () => { this.exportEvents('json'); });
+    el('spotCancelBtn').addEventListener('click', () => { this.cancelBatch(); });
+    el('showSpotMap').addEventListener('change', () => { this.view.spotMap = el('showSpotMap').checked; });
   }
 
-  reset() {
-    this.projectiles = [];
-    this.hitsTotal = 0;
-    this.totalDamage = 0;
-    this.hitTimestamps = [];
-    this.castTargetLocks.clear();
-    nextCastId += 1;
+  // Arena editor: tool picker, start-from-current/clear, and named arenas saved in localStorage
+  installArenaEditor() {
+    el('editTool').addEventListener('change', () => {
+      this.editor.tool = el('editTool').value;
+      this.editor.points = [];
+    });
+    if (this.customArena) el('arenaName').value = this.customArena.name;
+    el('editFromCurrentBtn').addEventListener('click', () => {
+      this.setCustomArena(Object.assign(this.engine.arena.toDef(), { name: el('arenaName').value || 'Custom' }));
+    });
+    el('editClearBtn').addEventListener('click', () => {
+      this.editor.points = [];
+      this.setCustomArena({ name: el('arenaName').value || 'Custom' });
+    });
+    el('arenaSaveBtn').addEventListener('click', () => {
+      const name = (el('arenaName').value || '').trim();
+      if (!name || !this.customArena) return;
+      const saved = loadSavedArenas();
+      saved[name] = Object.assign({}, this.customArena, { name });
+      storeSavedArenas(saved);
+      this.refreshSavedArenas(name);
+    });
+    el('arenaLoadBtn').addEventListener('click', () => {
+      const def = loadSavedArenas()[el('arenaSaved').value];
+      if (!def) return;
+      el('arenaName').value = def.name;
+      this.editor.points = [];
+      this.setCustomArena(def);
+    });
+    el('arenaDeleteBtn').addEventListener('click', () => {
+      const saved = loadSavedArenas();
+      delete saved[el('arenaSaved').value];
+      storeSavedArenas(saved);
+      this.refreshSavedArenas();
+    });
+    window.addEventListener('keydown', (e) => { if (e.key === 'Escape') this.editor.points = []; });
+    this.refreshSavedArenas();
+
+    // Geometry file import (JSON or SVG) becomes the Imported layout
+    el('arenaFile').addEventListener('change', () => {
+      const file = el('arenaFile').files[0];
+      if (!file) return;
+      const scale = Number(el('importScale').value) > 0 ? Number(el('importScale').value) : 1;
+      file.text().then((text) => {
+        const def = parseArenaFile(file.name, text, scale);
+        this.importedArena = def;
+        el('arenaName').value = def.name;
+        el('arenaType').value = 'imported';
+        this.applyConfig();
+        updateURL(this);
+        el('importStatus').textContent = 'Loaded ' + def.name + ': ' + def.walls.length + ' walls, '
+          + def.polygons.length + ' polygons, ' + def.pillars.length + ' circles.';
+      }).catch((err) => {
+        el('importStatus').textContent = 'Could not import ' + file.name + ': ' + err.message;
+      }).finally(() => { el('arenaFile').value = ''; });
+    });
   }
 
-  emitCast(now) {
-    const cfg = this.config;
-    const count = cfg.projectileCount;
-    const angles = [];
-    if (cfg.castShape === 'circular') {
-      for (let i = 0; i < count; i++) angles.push(randRange(0, TWO_PI));
-    } else {
-      // Cone centered on facing; only emission uses this angle
-      const half = clamp(cfg.coneAngleDeg, 0, 360) * DEG_TO_RAD / 2;
-      const facing = (cfg.casterFacingDeg || 0) * DEG_TO_RAD;
-      for (let i = 0; i < count; i++) angles.push(facing + randRange(-half, half));
-    }
-    const castId = nextCastId++;
-    for (const angle of angles) {
-      this.projectiles.push(new Projectile({
-        castId,
-        x: this.caster.x,
-        y: this.caster.y,
-        angle,
-        speed: (BASE_PROJ_SPEED_UNITS * (this.config.projSpeedMod || 1)) * this.scale, // convert to pixels per second
-        now,
-        duration: this.config.duration,
-        casterRef: this.caster,
-        pierceCount: this.config.pierceCount,
-        forkTimes: this.config.forkTimes,
-        chainCount: this.config.chainCount,
-        splitCount: this.config.splitCount,
-      }));
+  refreshSavedArenas(selected) {
+    const sel = el('arenaSaved');
+    sel.innerHTML = '';
+    for (const name of Object.keys(loadSavedArenas()).sort()) {
+      const opt = document.createElement('option');
+      opt.value = name; opt.textContent = name;
+      sel.appendChild(opt);
     }
+    if (selected) sel.value = selected;
   }
 
-  tryApplyHit(proj, now) {
-    // Shared cooldown per cast and target
-    const targetId = 'boss';
-    const key = proj.castId + '|' + targetId;
-    const nextOk = this.castTargetLocks.get(key) || 0;
-    if (now >= nextOk) {
-      this.hitsTotal += 1;
-      this.totalDamage += this.config.avgHit;
-      this.hitTimestamps.push(now);
-      this.castTargetLocks.set(key, now + PER_CAST_TARGET_COOLDOWN * 1000);
-      return true;
-    }
-    return false;
-  }
-
-  handleProjectileEnemyCollision(proj, now) {
-    // Check circle overlap
-    const dx = proj.x - this.boss.x; const dy = proj.y - this.boss.y;
-    const d = Math.hypot(dx, dy);
-    if (d <= proj.radius + this.boss.r) {
-      const hitRegistered = this.tryApplyHit(proj, now);
-      if (hitRegistered) {
-        // Only one behavior can occur per collision; priority: Split -> Pierce -> Fork -> Chain
-
-        // 1) Split (even 360° emission).
-        if (!proj.hasSplit && proj.splitCount > 0) {
-          proj.hasSplit = true;
-          return this.applySplit(proj, performance.now());
-        }
+  // Switch both builds to a new custom arena definition
+  setCustomArena(def) {
+    this.customArena = normalizeArenaDef(def);
+    el('arenaType').value = 'custom';
+    this.applyConfig();
+    updateURL(this);
+  }
+
+  // Apply one edit to a copy of the current custom arena (starting empty if there is none yet)
+  editArena(mutate) {
+    const def = normalizeArenaDef(this.customArena || { name: el('arenaName').value });
+    mutate(def);
+    this.setCustomArena(def);
+  }
 
-        // 2) Pierce
-        if (proj.pierceRemaining > 0) {
-          return this.applyPierce(proj, dx, dy, d);
+  handleEditClick(p) {
+    const snap = (v) => Math.round(v * 2) / 2; // half-unit grid
+    const q = { x: snap(p.x), y: snap(p.y) };
+    const pts = this.editor.points;
+    const nearPx = 8 / this.scale;
+    switch (this.editor.tool) {
+      case 'wall':
+        if (!pts.length) { pts.push(q); return; }
+        this.editArena(def => def.walls.push({ x1: pts[0].x, y1: pts[0].y, x2: q.x, y2: q.y }));
+        this.editor.points = [];
+        return;
+      case 'polygon':
+        // Clicking the first vertex again closes the polygon
+        if (pts.length >= 3 && Math.hypot(q.x - pts[0].x, q.y - pts[0].y) <= nearPx) {
+          this.editArena(def => def.polygons.push(pts.slice()));
+          this.editor.points = [];
+          return;
         }
+        pts.push(q);
+        return;
+      case 'pillar': {
+        const r = Math.max(0.5, Number(el('pillarRadius').value) || 10);
+        this.editArena(def => def.pillars.push({ x: q.x, y: q.y, r }));
+        return;
+      }
+      case 'erase':
+        this.editArena(def => eraseNearest(def, p, nearPx));
+        return;
+    }
+  }
+
+  enemyLabel(enemy) {
+    return enemy === this.boss ? 'Boss' : 'Enemy ' + (this.engine.enemies.indexOf(enemy) + 1);
+  }
+
+  selectEnemy(enemy) {
+    this.selectedEnemy = enemy;
+    el('bossRadius').value = String(enemy.r);
+    el('selectedEnemy').textContent = this.enemyLabel(enemy);
+    el('removeEnemyBtn').disabled = enemy === this.boss;
+  }
+
+  // Current setup (config + placed positions) as a standalone engine config
+  engineConfig() {
+    const { caster, boss, enemies } = this.engine;
+    return Object.assign({}, this.config, {
+      caster: { x: caster.homeX, y: caster.homeY },
+      boss: { x: boss.homeX, y: boss.homeY },
+      extraEnemies: enemies.slice(1).map(e => ({ x: e.homeX, y: e.homeY, r: e.r })),
+    });
+  }
 
-        // 3) Fork
-        if (proj.forkRemaining > 0) {
-          return this.applyFork(proj, performance.now());
+  /**
+   * Run trial configs offscreen for `seconds` each, spread over a pool of workers, or on this thread in
+   * frame-budget slices when workers can't start, so the page stays live either way. One job at a time
+   * (this.batch); onDone(dps[], cancelled, ttk[]) receives per-trial DPS and boss kill times (null if it
+   * survived) in config order, up to the first trial not finished when cancelled. A kill ends its trial early.
+   */
+  runTrialJob(configs, seconds, progressId, onDone) {
+    if (this.batch) return;
+    const job = { cancelled: false, queue: configs.map((_, i) => i), done: 0, dps: [], ttk: [], engine: null, index: -1, workers: [] };
+    this.batch = job;
+    for (const id of TRIAL_JOB_BUTTONS) el(id).disabled = true;
+
+    const progress = job.progress = () => {
+      el(progressId).textContent = job.done + ' / ' + configs.length + (job.cancelled ? ' (cancelled)' : '');
+    };
+    job.finish = () => {
+      if (this.batch !== job) return;
+      for (const w of job.workers) w.terminate();
+      this.batch = null;
+      for (const id of TRIAL_JOB_BUTTONS) el(id).disabled = false;
+      const dps = [];
+      for (let i = 0; i < configs.length && job.dps[i] !== undefined; i++) dps.push(job.dps[i]);
+      onDone(dps, job.cancelled, job.ttk.slice(0, dps.length));
+    };
+
+    // This thread: advance one trial engine at a time until the frame budget is spent
+    const work = () => {
+      const deadline = performance.now() + FRAME_BUDGET_MS;
+      while (!job.cancelled && performance.now() < deadline) {
+        if (!job.engine) {
+          if (!job.queue.length) break;
+          job.index = job.queue.shift();
+          job.engine = createEngine(configs[job.index]);
+        }
+        const e = job.engine;
+        e.tick(Math.min(1, seconds - e.time));
+        if (e.killTime !== null || e.time >= seconds - e.fixedDt / 2) {
+          job.dps[job.index] = e.time > 0 ? e.totalDamage / e.time : 0;
+          job.ttk[job.index] = e.killTime;
+          job.done += 1;
+          job.engine = null;
         }
+      }
+      progress();
+      if (!job.cancelled && job.done < configs.length) { window.setTimeout(work, 0); return; }
+      job.finish();
+    };
 
-        // 4) Chain (no other enemy → behave like pierce)
-        if (proj.chainRemaining > 0) {
-          return this.applyChain(proj, dx, dy, d);
+    // Workers: each takes the next trial from the queue as soon as it finishes one
+    const next = (w) => {
+      w.trial = job.queue.shift();
+      if (w.trial !== undefined) w.postMessage({ type: 'trial', index: w.trial, config: configs[w.trial], seconds });
+    };
+    const poolSize = Math.min(configs.length, MAX_TRIAL_WORKERS, Math.max(1, (navigator.hardwareConcurrency || 2) - 1));
+    for (let k = 0; k < poolSize; k++) {
+      let w;
+      try { w = new Worker('./worker.js'); } catch (err) { break; }
+      job.workers.push(w);
+      w.onmessage = (e) => {
+        job.dps[e.data.index] = e.data.dps;
+        job.ttk[e.data.index] = e.data.ttk;
+        job.done += 1;
+        progress();
+        if (job.done === configs.length) job.finish(); else next(w);
+      };
+      w.onerror = () => {
+        if (!job.workers.includes(w)) return;
+        // Workers unavailable after all: requeue their trials and finish on this thread
+        for (const x of job.workers) {
+          if (x.trial !== undefined && job.dps[x.trial] === undefined) job.queue.unshift(x.trial);
+          x.terminate();
         }
+        job.workers = [];
+        work();
+      };
+    }
+    if (job.workers.length) job.workers.forEach(next); else work();
+  }
 
-        // No remaining behaviors -> absorbed on hit
-        return 'remove';
-      } else {
-        // No hit registered due to per-cast cooldown; pass through without behaviors
+  // Stop the running batch job; pooled trials stop at once, slices on this thread at the next slice
+  cancelBatch() {
+    const job = this.batch;
+    if (!job) return;
+    job.cancelled = true;
+    if (job.workers.length) {
+      job.progress();
+      job.finish();
+    }
+  }
+
+  // Monte Carlo DPS: N offscreen trials of T simulated seconds
+  runBatch() {
+    const trials = Math.max(2, Math.floor(Number(el('batchTrials').value) || 0));
+    const seconds = Math.max(1, Number(el('batchSeconds').value) || 0);
+    const base = this.engineConfig();
+    const configs = [];
+    for (let i = 0; i < trials; i++) configs.push(Object.assign({}, base, { seed: trialSeed(base.seed, i) }));
+    this.runTrialJob(configs, seconds, 'batchProgress', (dps, cancelled, ttk) => {
+      if (dps.length >= 2) this.renderBatchResults(dps);
+      this.renderKillTimes(ttk, seconds, base.bossLife > 0);
+    });
+  }
+
+  // Sweep one parameter over from..to by step; each value runs the same trial seeds
+  runSweep() {
+    const key = el('sweepParam').value;
+    const values = sweepValues(Number(el('sweepFrom').value), Number(el('sweepTo').value), Number(el('sweepStep').value));
+    const trials = Math.max(2, Math.floor(Number(el('sweepTrials').value) || 0));
+    const seconds = Math.max(1, Number(el('sweepSeconds').value) || 0);
+    const base = this.engineConfig();
+    const configs = [];
+    for (const v of values) {
+      const cfg = withSweepValue(base, key, v);
+      for (let i = 0; i < trials; i++) configs.push(Object.assign({}, cfg, { seed: trialSeed(base.seed, i) }));
+    }
+    this.runTrialJob(configs, seconds, 'sweepProgress', (dps) => {
+      const points = [];
+      for (let i = 0; i < values.length && (i + 1) * trials <= dps.length; i++) {
+        points.push({ value: values[i], summary: summarize(dps.slice(i * trials, (i + 1) * trials)) });
       }
+      if (!points.length) return;
+      const best = points.reduce((a, b) => (b.summary.mean > a.summary.mean ? b : a));
+      el('sweepBest').textContent = best.value + ' → ' + formatShortNumber(best.summary.mean, 1) + ' DPS';
+      this.drawSweepChart('sweepChart', points);
+    });
+  }
+
+  // A/B significance: both builds run the same N trial seeds, compared pairwise
+  runComparison() {
+    this.builds[this.activeBuild] = this.pickBuild(this.readConfigFromDOM());
+    const trials = Math.max(2, Math.floor(Number(el('abTrials').value) || 0));
+    const seconds = Math.max(1, Number(el('abSeconds').value) || 0);
+    const placement = this.engineConfig();
+    const configs = [];
+    for (let i = 0; i < trials; i++) {
+      const seed = trialSeed(placement.seed, i);
+      configs.push(Object.assign({}, placement, this.builds.A, { seed }));
+      configs.push(Object.assign({}, placement, this.builds.B, { seed }));
     }
-    return 'keep';
+    this.runTrialJob(configs, seconds, 'abProgress', (dps) => {
+      const a = [], b = [];
+      for (let i = 0; i + 1 < dps.length; i += 2) { a.push(dps[i]); b.push(dps[i + 1]); }
+      if (a.length < 2) return;
+      const r = comparePaired(a, b);
+      const f = (v) => formatShortNumber(v, 1);
+      const pct = (v) => (v >= 0 ? '+' : '') + v.toFixed(1) + '%';
+      el('abMeans').textContent = f(r.meanA) + ' / ' + f(r.meanB);
+      el('abDiff').textContent = pct(r.diffPct) + ' (' + pct(r.ci95Pct[0]) + ' … ' + pct(r.ci95Pct[1]) + ')';
+      el('abSig').textContent = 'p = ' + (r.pValue < 0.001 ? '<0.001' : r.pValue.toFixed(3)) + (r.significant ? ' · significant' : ' · not significant');
+    });
   }
 
-  attemptBehavioursOnTerrainCollision(proj) {
-    // Behaviors (split/pierce/fork/chain) are enemy-only in this sim. Terrain only reflects.
-    return 'keep';
+  // Start (from now) or stop both builds' event logs; the worker keeps its own when it runs the physics
+  setEventRecording(on) {
+    this.recordingEvents = on;
+    this.engines.A.recordEvents(on);
+    this.engines.B.recordEvents(on);
+    this.postScene();
+    el('eventsStatus').textContent = on ? 'Recording events of both builds from now (Reset starts a new log).' : 'Event recording is off.';
   }
 
-  step(dt) {
-    const now = performance.now();
+  // Event log export of the active build; the worker holds the log when it runs the physics
+  exportEvents(format) {
+    if (!this.recordingEvents) { el('eventsStatus').textContent = 'Turn on Record Events first, then run.'; return; }
+    if (this.physics) this.physics.worker.postMessage({ type: 'events', format, build: this.activeBuild });
+    else this.saveEvents(format, this.activeBuild, this.engine.events, this.engine.eventsDropped);
+  }
 
-    // Emit based on cast speed
-    if (this.running) {
-      this.castAccumulator += dt;
-      while (this.castAccumulator >= this.config.castInterval) {
-        this.castAccumulator -= this.config.castInterval;
-        this.emitCast(now);
-      }
+  saveEvents(format, build, events, dropped) {
+    const cfg = this.buildConfig(build);
+    const base = 'spark-events-seed' + cfg.seed + (this.compare ? '-' + build : '');
+    if (format === 'json') {
+      const time = this.frames[build] ? this.frames[build].time : 0;
+      downloadText(base + '.json', JSON.stringify({ build, seed: cfg.seed, time, dropped, config: cfg, fields: EVENT_FIELDS, events }), 'application/json');
+    } else {
+      downloadText(base + '.csv', eventsToCSV(events), 'text/csv');
     }
+    el('eventsStatus').textContent = 'Exported ' + events.length + ' events' + (dropped ? ' (the latest ' + EVENT_LOG_MAX + ' at most; the ' + dropped + ' oldest were dropped)' : '') + '.';
+  }
 
-    // Update projectiles with sub-stepped CCD (prevents tunneling at high speeds)
-    const survivors = [];
-    for (const proj of this.projectiles) {
-      if (proj.isExpired(now)) continue;
-      proj.think(dt);
-
-      const speed = Math.hypot(proj.vx, proj.vy);
-      const totalDist = speed * dt;
-      const steps = Math.max(1, Math.ceil(totalDist / this.maxTerrainStepPx));
-      const subdt = dt / steps;
-
-      let removed = false;
-      for (let s = 0; s < steps && !removed; s++) {
-        // CCD vs boss within substep
-        const dx = proj.vx * subdt;
-        const dy = proj.vy * subdt;
-        const R = proj.radius + this.boss.r;
-        const tHit = sweptCircleHitT(proj.x, proj.y, dx, dy, this.boss.x, this.boss.y, R);
-        if (tHit !== null) {
-          proj.x += dx * tHit;
-          proj.y += dy * tHit;
-          const collisionTimeMs = now + (s * subdt + subdt * tHit) * 1000;
-          const enemyRes = this.handleProjectileEnemyCollision(proj, collisionTimeMs);
-          if (enemyRes === 'remove') { removed = true; break; }
-          const remainFrac = 1 - tHit;
-          if (remainFrac > 0) {
-            proj.move(subdt * remainFrac);
-          }
-        } else {
-          proj.move(subdt);
-        }
+  // Caster position scan: every reachable cell runs the same trial seeds with the caster standing there
+  runSpotScan() {
+    const cells = clamp(Math.floor(Number(el('spotCells').value) || 12), 3, 40);
+    const trials = Math.max(1, Math.floor(Number(el('spotTrials').value) || 0));
+    const seconds = Math.max(1, Number(el('spotSeconds').value) || 0);
+    const base = this.engineConfig();
+    const grid = casterSpots(base, cells);
+    const configs = [];
+    for (const spot of grid.spots) {
+      for (let i = 0; i < trials; i++) configs.push(Object.assign({}, base, { caster: { x: spot.x, y: spot.y }, seed: trialSeed(base.seed, i) }));
+    }
+    if (!configs.length) { el('spotBest').textContent = 'no reachable cells'; return; }
+    this.runTrialJob(configs, seconds, 'spotProgress', (dps) => {
+      grid.spots.forEach((spot, k) => {
+        if ((k + 1) * trials <= dps.length) spot.mean = summarize(dps.slice(k * trials, (k + 1) * trials)).mean;
+      });
+      const done = grid.spots.filter(spot => spot.mean !== undefined);
+      if (!done.length) return;
+      grid.best = done.reduce((a, b) => (b.mean > a.mean ? b : a));
+      grid.min = Math.min(...done.map(spot => spot.mean));
+      this.spotMap = grid;
+      el('spotBest').textContent = formatShortNumber(grid.best.mean, 1) + ' DPS at (' + grid.best.x.toFixed(0) + ', ' + grid.best.y.toFixed(0) + ')';
+    });
+  }
 
-        // Terrain collision (reflect). Use swept test against T-junction segments if applicable
-        if (this.arena instanceof TJunctionArena) {
-          // Exact TOI: moving circle vs each wall capsule (segment thickened by radius)
-          const dx = proj.vx * subdt; const dy = proj.vy * subdt;
-          const p0x = proj.x - dx, p0y = proj.y - dy;
-          let best = null;
-          for (const seg of this.arena.segments) {
-            const hit = sweptCircleSegmentTOI(p0x, p0y, dx, dy, seg.x1, seg.y1, seg.x2, seg.y2, proj.radius);
-            if (hit && hit.t >= 0 && hit.t <= 1) {
-              if (!best || hit.t < best.t) best = hit;
-            }
-          }
-          if (best) {
-            // advance to contact and reflect by provided normal
-            proj.x = p0x + dx * best.t + best.nx * (proj.radius * 1.001);
-            proj.y = p0y + dy * best.t + best.ny * (proj.radius * 1.001);
-            proj.reflect(best.nx, best.ny);
-          } else {
-            // no terrain hit in substep
-          }
-        } else {
-          const hit = this.arena.collideCircle(proj.x, proj.y, proj.radius);
-          if (hit.hit) {
-            proj.x = hit.x; proj.y = hit.y;
-            if (hit.reflect) proj.reflect(hit.nx, hit.ny);
-            const res = this.attemptBehavioursOnTerrainCollision(proj);
-            if (res === 'remove') { removed = true; break; }
-          }
-        }
-      }
-      if (removed) continue;
+  // Line chart of mean DPS against the swept value with 95% CI error bars
+  drawSweepChart(canvasId, points) {
+    const c = document.getElementById(canvasId);
+    if (!c) return;
+    const ctx = c.getContext('2d');
+    const w = c.width; const h = c.height;
+    const pad = { l: 36, r: 8, t: 8, b: 16 };
+    const xs = points.map(p => p.value);
+    const xMin = Math.min(...xs), xMax = Math.max(...xs);
+    const yMin = Math.min(0, ...points.map(p => p.summary.ci95[0]));
+    const yMax = Math.max(...points.map(p => p.summary.ci95[1])) || 1;
+    const X = (v) => pad.l + ((v - xMin) / ((xMax - xMin) || 1)) * (w - pad.l - pad.r);
+    const Y = (v) => h - pad.b - ((v - yMin) / ((yMax - yMin) || 1)) * (h - pad.t - pad.b);
+    ctx.clearRect(0, 0, w, h);
+    ctx.save();
+    // axes
+    ctx.strokeStyle = '#2a3146';
+    ctx.beginPath();
+    ctx.moveTo(pad.l, pad.t); ctx.lineTo(pad.l, h - pad.b); ctx.lineTo(w - pad.r, h - pad.b);
+    ctx.stroke();
+    ctx.fillStyle = '#a8b0c0';
+    ctx.font = '10px ui-sans-serif, system-ui, -apple-system';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(formatShortNumber(yMax, 1), 2, Y(yMax));
+    ctx.fillText(formatShortNumber(yMin, 1), 2, Y(yMin));
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(String(xMin), pad.l, h);
+    const xMaxLabel = String(xMax);
+    ctx.fillText(xMaxLabel, w - pad.r - ctx.measureText(xMaxLabel).width, h);
+    // error bars
+    ctx.strokeStyle = 'rgba(255,209,102,0.75)';
+    ctx.beginPath();
+    for (const p of points) {
+      const x = X(p.value);
+      ctx.moveTo(x, Y(p.summary.ci95[0])); ctx.lineTo(x, Y(p.summary.ci95[1]));
+      ctx.moveTo(x - 3, Y(p.summary.ci95[0])); ctx.lineTo(x + 3, Y(p.summary.ci95[0]));
+      ctx.moveTo(x - 3, Y(p.summary.ci95[1])); ctx.lineTo(x + 3, Y(p.summary.ci95[1]));
+    }
+    ctx.stroke();
+    // mean line + points
+    ctx.strokeStyle = '#7cc5ff';
+    ctx.fillStyle = '#7cc5ff';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    points.forEach((p, i) => { if (i === 0) ctx.moveTo(X(p.value), Y(p.summary.mean)); else ctx.lineTo(X(p.value), Y(p.summary.mean)); });
+    ctx.stroke();
+    for (const p of points) { ctx.beginPath(); ctx.arc(X(p.value), Y(p.summary.mean), 2.5, 0, TWO_PI); ctx.fill(); }
+    ctx.restore();
+  }
+
+  // Mean squared displacement by lag: tracked path against the simulated mean
+  drawMsdChart(canvasId, lags, tracked, simulated) {
+    const c = document.getElementById(canvasId);
+    if (!c) return;
+    const ctx = c.getContext('2d');
+    const w = c.width; const h = c.height;
+    ctx.clearRect(0, 0, w, h);
+    if (!lags.length) return;
+    const pad = { l: 36, r: 8, t: 8, b: 16 };
+    const xMax = lags[lags.length - 1];
+    const yMax = Math.max(...tracked, ...simulated) || 1;
+    const X = (v) => pad.l + (v / xMax) * (w - pad.l - pad.r);
+    const Y = (v) => h - pad.b - (v / yMax) * (h - pad.t - pad.b);
+    ctx.save();
+    // axes
+    ctx.strokeStyle = '#2a3146';
+    ctx.beginPath();
+    ctx.moveTo(pad.l, pad.t); ctx.lineTo(pad.l, h - pad.b); ctx.lineTo(w - pad.r, h - pad.b);
+    ctx.stroke();
+    ctx.fillStyle = '#a8b0c0';
+    ctx.font = '10px ui-sans-serif, system-ui, -apple-system';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(formatShortNumber(yMax, 1), 2, Y(yMax));
+    ctx.fillText('0', 2, Y(0));
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('0', pad.l, h);
+    const xMaxLabel = xMax.toFixed(1) + ' s';
+    ctx.fillText(xMaxLabel, w - pad.r - ctx.measureText(xMaxLabel).width, h);
+    ctx.lineWidth = 1.5;
+    for (const [values, color] of [[simulated, '#ffd166'], [tracked, GHOST_COLOR]]) {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(X(0), Y(0));
+      values.forEach((v, i) => ctx.lineTo(X(lags[i]), Y(v)));
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
 
-      survivors.push(proj);
+  /**
+   * Time to kill over the batch: kills within the trial length, and the distribution of the kill times.
+   * Trials that ran out of time are censored: their TTK is only known to be at least the trial length, so
+   * the percentiles count them as the slowest and show "≥ T" where they land, and the mean covers kills only.
+   */
+  renderKillTimes(ttk, seconds, hasLife) {
+    const times = ttk.filter(t => t !== null);
+    const censored = ttk.length - times.length;
+    el('batchKills').textContent = !hasLife ? '–'
+      : times.length + ' / ' + ttk.length + ' within ' + seconds + 's' + (censored && times.length ? '; the rest TTK ≥ ' + seconds + 's' : '');
+    const all = times.slice().sort((a, b) => a - b).concat(new Array(censored).fill(Infinity));
+    const pct = (p) => { const v = percentile(all, p); return Number.isFinite(v) ? v.toFixed(1) : '≥ ' + seconds; };
+    const onlyKills = censored ? ' (kills only)' : '';
+    const c = el('batchTtkHist');
+    if (times.length < 2) {
+      el('batchTtk').textContent = times.length ? times[0].toFixed(1) + 's' + onlyKills : '–';
+      el('batchTtkPct').textContent = hasLife && ttk.length ? pct(5) + ' / ' + pct(50) + ' / ' + pct(95) + 's' : '–';
+      c.getContext('2d').clearRect(0, 0, c.width, c.height);
+      return;
     }
-    this.projectiles = survivors;
+    const s = summarize(times);
+    el('batchTtk').textContent = s.mean.toFixed(1) + 's ± ' + s.sd.toFixed(1) + 's (CI ' + s.ci95[0].toFixed(1) + '–' + s.ci95[1].toFixed(1) + 's)' + onlyKills;
+    el('batchTtkPct').textContent = pct(5) + ' / ' + pct(50) + ' / ' + pct(95) + 's';
+    this.drawHistogram('batchTtkHist', times, s.mean);
+  }
+
+  renderBatchResults(values) {
+    const s = summarize(values);
+    const f = (v) => formatShortNumber(v, 1);
+    el('batchMean').textContent = f(s.mean);
+    el('batchSd').textContent = f(s.sd) + ' (' + (s.mean ? (s.sd / s.mean * 100).toFixed(1) : '0') + '%)';
+    el('batchCi').textContent = f(s.ci95[0]) + ' – ' + f(s.ci95[1]);
+    el('batchPct').textContent = f(s.p5) + ' / ' + f(s.p50) + ' / ' + f(s.p95);
+    this.drawHistogram('batchHist', values, s.mean);
+  }
+
+  drawHistogram(canvasId, values, mean) {
+    const c = document.getElementById(canvasId);
+    if (!c) return;
+    const ctx = c.getContext('2d');
+    const w = c.width; const h = c.height;
+    const bins = clamp(Math.round(Math.sqrt(values.length)), 5, 30);
+    const hist = histogram(values, bins);
+    const peak = Math.max(...hist.counts) || 1;
+    const labelH = 12;
+    const barW = w / bins;
+    ctx.clearRect(0, 0, w, h);
+    ctx.save();
+    ctx.fillStyle = '#7cc5ff';
+    for (let i = 0; i < bins; i++) {
+      const bh = (hist.counts[i] / peak) * (h - labelH - 2);
+      ctx.fillRect(i * barW + 1, h - labelH - bh, Math.max(1, barW - 2), bh);
+    }
+    // mean marker
+    const span = hist.max - hist.min || 1;
+    const mx = ((mean - hist.min) / span) * w;
+    ctx.strokeStyle = '#ffd166';
+    ctx.beginPath();
+    ctx.moveTo(mx, 0);
+    ctx.lineTo(mx, h - labelH);
+    ctx.stroke();
+    // range labels
+    ctx.fillStyle = '#a8b0c0';
+    ctx.font = '10px ui-sans-serif, system-ui, -apple-system';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(formatShortNumber(hist.min, 1), 0, h);
+    const maxLabel = formatShortNumber(hist.max, 1);
+    ctx.fillText(maxLabel, w - ctx.measureText(maxLabel).width, h);
+    ctx.restore();
+  }
+
+  // Measured values as bars and the fitted model's as a line, both as shares of their samples over [0, max]
+  drawFitHistogram(canvasId, measured, fitted, max) {
+    const c = document.getElementById(canvasId);
+    if (!c) return;
+    const ctx = c.getContext('2d');
+    const w = c.width; const h = c.height;
+    const bins = 18;
+    const shares = (values) => {
+      const counts = new Array(bins).fill(0);
+      for (const v of values) counts[clamp(Math.floor((v / max) * bins), 0, bins - 1)] += 1;
+      return counts.map(n => (values.length ? n / values.length : 0));
+    };
+    const a = shares(measured), b = shares(fitted);
+    const peak = Math.max(...a, ...b) || 1;
+    const labelH = 12;
+    const barW = w / bins;
+    const Y = (v) => h - labelH - (v / peak) * (h - labelH - 2);
+    ctx.clearRect(0, 0, w, h);
+    ctx.save();
+    ctx.fillStyle = '#7cc5ff';
+    for (let i = 0; i < bins; i++) ctx.fillRect(i * barW + 1, Y(a[i]), Math.max(1, barW - 2), h - labelH - Y(a[i]));
+    ctx.strokeStyle = '#ffd166';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    b.forEach((v, i) => { if (i === 0) ctx.moveTo((i + 0.5) * barW, Y(v)); else ctx.lineTo((i + 0.5) * barW, Y(v)); });
+    ctx.stroke();
+    // range labels
+    ctx.fillStyle = '#a8b0c0';
+    ctx.font = '10px ui-sans-serif, system-ui, -apple-system';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('0', 0, h);
+    const maxLabel = String(max) + (measured.some(v => v > max) ? '+' : '');
+    ctx.fillText(maxLabel, w - ctx.measureText(maxLabel).width, h);
+    ctx.restore();
+  }
+
+  installInput() {
+    const rect = () => this.canvas.getBoundingClientRect();
+    const toWorld = (e) => screenToWorld(this, e.clientX - rect().left, e.clientY - rect().top);
 
-    // Cleanup old hit timestamps beyond 5s window
-    const windowMs = 5000;
-    const cutoff = now - windowMs;
-    while (this.hitTimestamps.length && this.hitTimestamps[0] < cutoff) this.hitTimestamps.shift();
+    let last = null;
+    this.canvas.addEventListener('mousedown', (e) => {
+      const p = toWorld(e);
+      last = p;
+      // While an editor tool is picked, clicks edit the arena instead of dragging
+      if (this.editor.tool) { this.handleEditClick(p); return; }
+      // Shift+click appends a caster waypoint
+      if (e.shiftKey) {
+        this.waypoints.push({ x: p.x, y: p.y });
+        this.applyConfig();
+        updateURL(this);
+        return;
+      }
+      if (this.caster.contains(p.x, p.y)) { this.dragging = this.caster; this.caster.drag = true; this.postEntities(); return; }
+      // Topmost (last drawn) enemy wins; picking one also selects it for the radius field
+      for (let i = this.engine.enemies.length - 1; i >= 0; i--) {
+        const enemy = this.engine.enemies[i];
+        if (enemy.contains(p.x, p.y)) { this.dragging = enemy; enemy.drag = true; this.selectEnemy(enemy); this.postEntities(); return; }
+      }
+      // Elsewhere on a shown DPS map: stand the caster in the clicked cell
+      const spot = this.spotAt(p);
+      if (spot) {
+        this.caster.moveBy(spot.x - this.caster.homeX, spot.y - this.caster.homeY);
+        this.postEntities();
+        updateURL(this);
+      }
+    });
+    window.addEventListener('mousemove', (e) => {
+      if (this.editor.tool) this.editor.hover = toWorld(e);
+      if (!this.dragging) return;
+      const p = toWorld(e);
+      // Drag by the pointer delta so a moving enemy's pattern travels with it
+      this.dragging.moveBy(p.x - last.x, p.y - last.y);
+      last = p;
+      this.postEntities();
+      // update URL for positions
+      updateURL(this);
+    });
+    window.addEventListener('mouseup', () => {
+      if (!this.dragging) return;
+      this.dragging.drag = false;
+      this.dragging = null;
+      this.postEntities();
+    });
   }
 
   draw() {
     const ctx = this.ctx;
+    const engine = this.engine;
     ctx.clearRect(0, 0, this.width, this.height);
 
+    // World layer: draw in world units centered on the arena
+    ctx.save();
+    ctx.translate(this.width / 2, this.height / 2);
+    ctx.scale(this.scale, this.scale);
+
     // Arena
-    this.arena.draw(ctx);
+    engine.arena.draw(ctx, this.scale);
+    if (this.view.heatmap) this.drawHeat(ctx);
+    if (this.view.spotMap && this.spotMap) this.drawSpotMap(ctx);
+    if (this.view.trails) this.drawTrails(ctx);
 
     // If cone casting, draw facing and 90° cone lines from caster
-    if (this.config.castShape === 'cone') {
-      const facing = (this.config.casterFacingDeg || 0) * DEG_TO_RAD;
+    if (engine.config.castShape === 'cone') {
+      const facing = (engine.config.casterFacingDeg || 0) * DEG_TO_RAD;
       const half = (90 * DEG_TO_RAD) / 2;
-      const r = ARENA_RADIUS_UNITS * this.scale * 0.3; // visual length (cut by ~66%)
+      const r = ARENA_RADIUS_UNITS * 0.3; // visual length (cut by ~66%)
       const angles = [facing - half, facing, facing + half];
       ctx.save();
       ctx.strokeStyle = 'rgba(255,209,102,0.75)';
-      ctx.lineWidth = 1.5;
-      ctx.setLineDash([6, 6]);
+      ctx.lineWidth = 1.5 / this.scale;
+      ctx.setLineDash([6 / this.scale, 6 / this.scale]);
       ctx.beginPath();
       for (let i = 0; i < angles.length; i++) {
         const a = angles[i];
@@ -1122,80 +1958,393 @@ class Simulation {
       ctx.restore();
     }
 
-    // Leash radius removed
-
     // Entities
+    this.drawEditorPreview(ctx);
+    this.drawCasterPath(ctx);
     this.caster.draw(ctx);
-    this.boss.draw(ctx);
-
-    // Projectiles (orange when cast's cooldown active for boss)
-    for (const p of this.projectiles) {
-      let override = undefined;
-      const key = p.castId + '|boss';
-      const nextOk = this.castTargetLocks.get(key) || 0;
-      if (performance.now() < nextOk) override = '#ffa94d';
-      p.draw(ctx, override);
+    this.drawMovementGuides(ctx);
+    for (const enemy of engine.enemies) enemy.draw(ctx);
+    this.drawBossLife(ctx);
+    if (this.view.heatmap) this.drawHitRings(ctx);
+    if (engine.enemies.length > 1) {
+      // Ring the enemy the radius field is editing
+      const sel = this.selectedEnemy;
+      ctx.save();
+      ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+      ctx.lineWidth = 1.5 / this.scale;
+      ctx.beginPath();
+      ctx.arc(sel.x, sel.y, sel.r + 3 / this.scale, 0, TWO_PI);
+      ctx.stroke();
+      ctx.restore();
     }
 
-    // Legend
+    if (this.compare) {
+      // A/B: color projectiles by build
+      for (const name of ['A', 'B']) {
+        if (this.frames[name]) drawProjectiles(ctx, this.frames[name].projectiles, this.engines[name].config.projRadius, BUILD_COLORS[name]);
+      }
+    } else if (this.frames[this.activeBuild]) {
+      // Projectiles (orange when cast's cooldown active for boss)
+      drawProjectiles(ctx, this.frames[this.activeBuild].projectiles, this.engine.config.projRadius, '#7cc5ff', '#ffa94d');
+    }
+    this.drawGhost(ctx);
+    ctx.restore();
+
+    // Legend (screen space)
+    const casterPx = worldToScreen(this, this.caster.x, this.caster.y);
     ctx.save();
     ctx.fillStyle = '#a8b0c0';
     ctx.font = '12px ui-sans-serif, system-ui, -apple-system';
-    ctx.fillText('Caster', this.caster.x + 12, this.caster.y + 4);
-    ctx.fillText('Boss', this.boss.x + 24, this.boss.y + 4);
+    ctx.fillText('Caster', casterPx.x + 12, casterPx.y + 4);
+    for (const enemy of engine.enemies) {
+      const px = worldToScreen(this, enemy.x, enemy.y);
+      ctx.fillText(this.enemyLabel(enemy), px.x + enemy.r * this.scale + 6, px.y + 4);
+    }
+    if (this.compare) {
+      ctx.fillStyle = BUILD_COLORS.A;
+      ctx.fillText('● Build A', 12, 20);
+      ctx.fillStyle = BUILD_COLORS.B;
+      ctx.fillText('● Build B', 80, 20);
+    }
+    if (this.ghost) {
+      ctx.fillStyle = GHOST_COLOR;
+      ctx.fillText('● Tracked', 12, this.height - 12);
+      ctx.fillStyle = '#ffd166';
+      ctx.fillText('● Simulated', 84, this.height - 12);
+    }
+    ctx.restore();
+  }
+
+  // Trajectory overlay on the simulated clock: the whole tracked path faintly, then the tracked and simulated
+  // paths drawn up to the replay time with a head marker each; loops after a short pause
+  drawGhost(ctx) {
+    const g = this.ghost;
+    if (!g || !g.path) return;
+    const frame = this.frames[this.activeBuild];
+    const now = frame ? frame.time : 0;
+    if (g.startTime == null || now < g.startTime) g.startTime = now;
+    const t = (now - g.startTime) % (g.duration + GHOST_PAUSE_SEC);
+    const trace = (path) => {
+      ctx.beginPath();
+      ctx.moveTo(path[0].x, path[0].y);
+      let head = path[0];
+      for (const p of path) {
+        if (p.t > t) break;
+        ctx.lineTo(p.x, p.y);
+        head = p;
+      }
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(head.x, head.y, PROJ_RADIUS_UNITS * 1.5, 0, TWO_PI);
+      ctx.fill();
+    };
+    ctx.save();
+    ctx.lineWidth = 1.5 / this.scale;
+    ctx.strokeStyle = 'rgba(247,143,179,0.25)';
+    ctx.beginPath();
+    g.path.forEach((p, i) => { if (i === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y); });
+    ctx.stroke();
+    ctx.strokeStyle = ctx.fillStyle = 'rgba(255,209,102,0.8)';
+    for (const sim of g.sims) trace(sim);
+    ctx.strokeStyle = ctx.fillStyle = GHOST_COLOR;
+    trace(g.path);
+    ctx.restore();
+  }
+
+  // Occupancy heatmap (square root of each cell's share of the peak, so sparse areas still show)
+  drawHeat(ctx) {
+    const h = this.heat;
+    if (h.dirty) {
+      const hctx = h.canvas.getContext('2d');
+      const img = hctx.createImageData(h.cols, h.rows);
+      let peak = 0;
+      for (let i = 0; i < h.grid.length; i++) if (h.grid[i] > peak) peak = h.grid[i];
+      for (let i = 0; i < h.grid.length; i++) {
+        if (!h.grid[i]) continue;
+        const c = heatColor(Math.sqrt(h.grid[i] / peak));
+        img.data.set(c, i * 4);
+      }
+      hctx.putImageData(img, 0, 0);
+      h.dirty = false;
+    }
+    ctx.save();
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(h.canvas, h.x0, h.y0, h.cols * HEAT_CELL_UNITS, h.rows * HEAT_CELL_UNITS);
+    ctx.restore();
+  }
+
+  // Life (red) and energy shield (blue) bars over the boss while it has a life pool; gray while immune
+  drawBossLife(ctx) {
+    const frame = this.frames[this.activeBuild];
+    const { bossLife, bossEs } = this.engine.config;
+    if (!frame || bossLife <= 0) return;
+    const boss = this.boss;
+    const w = Math.max(boss.r * 2, 28 / this.scale);
+    const h = 4 / this.scale;
+    const x = boss.x - w / 2;
+    let y = boss.y - boss.r - 6 / this.scale - h;
+    ctx.save();
+    for (const [value, max, color] of [[frame.bossLife, bossLife, '#ff6b6b'], [frame.bossEs, bossEs, '#7cc5ff']]) {
+      if (max <= 0) continue;
+      ctx.fillStyle = 'rgba(10, 14, 24, 0.85)';
+      ctx.fillRect(x, y, w, h);
+      ctx.fillStyle = frame.bossImmune ? '#a8b0c0' : color;
+      ctx.fillRect(x, y, w * clamp(value / max, 0, 1), h);
+      y -= h + 1 / this.scale;
+    }
+    ctx.restore();
+  }
+
+  // Hit locations as a ring around each enemy, one arc per perimeter bin colored by its share of the peak
+  drawHitRings(ctx) {
+    const rings = this.heat.rings;
+    if (!rings.size) return;
+    let peak = 0;
+    for (const bins of rings.values()) for (const n of bins) peak = Math.max(peak, n);
+    const span = TWO_PI / HEAT_RING_BINS;
+    ctx.save();
+    ctx.lineWidth = 4 / this.scale;
+    for (const enemy of this.engine.enemies) {
+      const bins = rings.get(enemy.id);
+      if (!bins) continue;
+      const r = enemy.r + 4 / this.scale;
+      for (let i = 0; i < HEAT_RING_BINS; i++) {
+        if (!bins[i]) continue;
+        const c = heatColor(bins[i] / peak);
+        ctx.strokeStyle = 'rgba(' + c[0] + ',' + c[1] + ',' + c[2] + ',' + Math.max(0.5, c[3] / 255) + ')';
+        ctx.beginPath();
+        ctx.arc(enemy.x, enemy.y, r, i * span, (i + 1) * span);
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+
+  // Fading trails: the trail layer loses a little opacity every drawn frame and gets the current projectiles
+  // stamped on, then covers the view in world coordinates
+  drawTrails(ctx) {
+    if (!this.trailLayer) {
+      const canvas = document.createElement('canvas');
+      canvas.width = this.width;
+      canvas.height = this.height;
+      this.trailLayer = { canvas, ctx: canvas.getContext('2d') };
+    }
+    const tctx = this.trailLayer.ctx;
+    tctx.save();
+    tctx.globalCompositeOperation = 'destination-out';
+    tctx.fillStyle = 'rgba(0,0,0,' + TRAIL_FADE + ')';
+    tctx.fillRect(0, 0, this.width, this.height);
+    tctx.globalCompositeOperation = 'source-over';
+    tctx.globalAlpha = 0.5;
+    tctx.setTransform(this.scale, 0, 0, this.scale, this.width / 2, this.height / 2);
+    for (const name of this.compare ? ['A', 'B'] : [this.activeBuild]) {
+      if (this.frames[name]) drawProjectiles(tctx, this.frames[name].projectiles, this.engines[name].config.projRadius, this.compare ? BUILD_COLORS[name] : '#7cc5ff');
+    }
+    tctx.restore();
+    const w = this.width / this.scale, h = this.height / this.scale;
+    ctx.drawImage(this.trailLayer.canvas, -w / 2, -h / 2, w, h);
+  }
+
+  // Scanned spot under a world point while the DPS map is shown
+  spotAt(p) {
+    const map = this.spotMap;
+    if (!map || !this.view.spotMap) return null;
+    const ix = Math.floor((p.x - map.x0) / map.cellSize);
+    const iy = Math.floor((p.y - map.y0) / map.cellSize);
+    return map.spots.find(spot => spot.ix === ix && spot.iy === iy && spot.mean !== undefined) || null;
+  }
+
+  // Caster position scan: cells colored from the lowest to the highest mean DPS, best cell outlined
+  drawSpotMap(ctx) {
+    const map = this.spotMap;
+    const span = map.best.mean - map.min || 1;
+    const size = map.cellSize;
+    ctx.save();
+    for (const spot of map.spots) {
+      if (spot.mean === undefined) continue;
+      const c = heatColor((spot.mean - map.min) / span);
+      ctx.fillStyle = 'rgba(' + c[0] + ',' + c[1] + ',' + c[2] + ',0.45)';
+      ctx.fillRect(map.x0 + spot.ix * size, map.y0 + spot.iy * size, size, size);
+    }
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2 / this.scale;
+    ctx.strokeRect(map.x0 + map.best.ix * size, map.y0 + map.best.iy * size, size, size);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 12 / this.scale + 'px ui-sans-serif, system-ui, -apple-system';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('Best ' + formatShortNumber(map.best.mean, 1), map.x0 + map.best.ix * size, map.y0 + map.best.iy * size - 2 / this.scale);
+    ctx.restore();
+  }
+
+  // In-progress wall/polygon from the placed vertices to the pointer
+  drawEditorPreview(ctx) {
+    const { points, hover } = this.editor;
+    if (!points.length) return;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,209,102,0.85)';
+    ctx.fillStyle = 'rgba(255,209,102,0.85)';
+    ctx.lineWidth = 2 / this.scale;
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    for (const p of points.slice(1)) ctx.lineTo(p.x, p.y);
+    if (hover) ctx.lineTo(hover.x, hover.y);
+    ctx.stroke();
+    for (const p of points) { ctx.beginPath(); ctx.arc(p.x, p.y, 3 / this.scale, 0, TWO_PI); ctx.fill(); }
+    ctx.restore();
+  }
+
+  // Caster script: kite circle around the boss, or the waypoint route starting at the placed position
+  drawCasterPath(ctx) {
+    const cfg = this.engine.config;
+    const caster = this.caster;
+    const wps = cfg.casterWaypoints;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(74,163,255,0.45)';
+    ctx.fillStyle = 'rgba(74,163,255,0.8)';
+    ctx.lineWidth = 1 / this.scale;
+    ctx.setLineDash([4 / this.scale, 4 / this.scale]);
+    ctx.beginPath();
+    if (cfg.casterMovement === 'kite') {
+      const r = Math.hypot(caster.homeX - this.boss.homeX, caster.homeY - this.boss.homeY);
+      ctx.arc(this.boss.x, this.boss.y, r, 0, TWO_PI);
+    } else if (wps.length && cfg.casterMovement !== 'static') {
+      const route = cfg.casterMovement === 'strafe' ? wps.slice(0, 1) : wps.concat([{ x: caster.homeX, y: caster.homeY }]);
+      ctx.moveTo(caster.homeX, caster.homeY);
+      for (const p of route) ctx.lineTo(p.x, p.y);
+    }
+    ctx.stroke();
+    // Waypoint markers (always shown so they can be placed before picking a script)
+    for (const p of wps) { ctx.beginPath(); ctx.arc(p.x, p.y, 3 / this.scale, 0, TWO_PI); ctx.fill(); }
+    ctx.restore();
+  }
+
+  // Faint outline of each enemy's movement pattern around its placed position
+  drawMovementGuides(ctx) {
+    const cfg = this.engine.config;
+    const range = cfg.enemyMoveRange;
+    if (!['orbit', 'patrol', 'random', 'teleport'].includes(cfg.enemyMovement) || range <= 0) return;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,107,107,0.35)';
+    ctx.lineWidth = 1 / this.scale;
+    ctx.setLineDash([4 / this.scale, 4 / this.scale]);
+    ctx.beginPath();
+    for (const enemy of this.engine.enemies) {
+      if (cfg.enemyMovement === 'patrol') {
+        ctx.moveTo(enemy.homeX - range, enemy.homeY);
+        ctx.lineTo(enemy.homeX + range, enemy.homeY);
+      } else {
+        ctx.moveTo(enemy.homeX + range, enemy.homeY);
+        ctx.arc(enemy.homeX, enemy.homeY, range, 0, TWO_PI);
+      }
+    }
+    ctx.stroke();
     ctx.restore();
   }
 
   updateStats() {
-    const hitsPerSec = this.hitTimestamps.length / 5;
-    document.getElementById('hitsTotal').textContent = formatShortNumber(this.hitsTotal, 1);
-    document.getElementById('hitsPerSec').textContent = hitsPerSec.toFixed(2);
-    const dps = hitsPerSec * this.config.avgHit;
-    document.getElementById('dps').textContent = formatShortNumber(dps, 1);
-    document.getElementById('totalDmg').textContent = formatShortNumber(this.totalDamage, 1);
-    document.getElementById('projAlive').textContent = formatShortNumber(this.projectiles.length, 0);
-    // cooldown percent = casts whose cooldown to boss is still active
-    const now = performance.now();
-    let castsOnCd = 0, castIds = new Set();
-    for (const p of this.projectiles) castIds.add(p.castId);
-    for (const id of castIds) {
-      const key = id + '|boss';
-      const nextOk = this.castTargetLocks.get(key) || 0;
-      if (now < nextOk) castsOnCd += 1;
+    const frame = this.frames[this.activeBuild];
+    if (!frame) return;
+    const hitsPerSec = frame.hitsPerSec;
+    const dps = frame.dps; // hits and ignite, after crits, shock and resistance
+    // A/B: rolling rate and DPS for both builds
+    const ab = this.compare && this.frames.A && this.frames.B ? {} : null;
+    if (ab) {
+      for (const name of ['A', 'B']) {
+        const rate = this.frames[name].hitsPerSec;
+        ab[name] = { hitsPerSec: rate, dps: this.frames[name].dps };
+      }
     }
-    const cooldownPct = castIds.size ? (castsOnCd / castIds.size) * 100 : 0;
-    document.getElementById('cooldownPct').textContent = cooldownPct.toFixed(0) + '%';
-    this.updateCharts(hitsPerSec, dps, cooldownPct);
+    document.getElementById('hitsTotal').textContent = formatShortNumber(frame.hitsTotal, 1);
+    document.getElementById('hitsPerSec').textContent = ab
+      ? ab.A.hitsPerSec.toFixed(2) + ' / ' + ab.B.hitsPerSec.toFixed(2)
+      : hitsPerSec.toFixed(2);
+    document.getElementById('dps').textContent = ab
+      ? formatShortNumber(ab.A.dps, 1) + ' / ' + formatShortNumber(ab.B.dps, 1)
+      : formatShortNumber(dps, 1);
+    document.getElementById('totalDmg').textContent = formatShortNumber(frame.totalDamage, 1);
+    document.getElementById('projAlive').textContent = formatShortNumber(frame.projectileCount, 0);
+    // cooldown percent = live casts whose cooldown to boss is still active
+    document.getElementById('cooldownPct').textContent = frame.cooldownPct.toFixed(0) + '%';
+    // Warm-up split (see Engine.steadyState); both builds while comparing
+    const split = (get) => (ab ? get(this.frames.A) + ' / ' + get(this.frames.B) : get(frame));
+    const or = (v, f) => (v === null ? '–' : f(v));
+    el('steadyDps').textContent = split(f => or(f.steady.steadyDps, v => formatShortNumber(v, 1)));
+    el('steadyTime').textContent = split(f => or(f.steady.steadyTime, v => v.toFixed(1) + 's'));
+    // A boss killed inside the burst window cuts it to the time to kill
+    const { burstSec } = this.engine.config;
+    el('burstLabel').textContent = 'Burst DPS (first ' + burstSec + 's):';
+    el('burstDps').textContent = split(f => or(f.steady.burstDps, v => formatShortNumber(v, 1)
+      + (f.steady.burstSec < burstSec ? ' (to kill at ' + f.steady.burstSec.toFixed(1) + 's)' : '')));
+    // Boss life pool: shares of life (and energy shield) left, and when it died
+    const { bossLife, bossEs } = this.engine.config;
+    el('bossLifeLeft').textContent = bossLife > 0
+      ? split(f => (f.bossLife / bossLife * 100).toFixed(0) + '%' + (bossEs > 0 ? ' +' + (f.bossEs / bossEs * 100).toFixed(0) + '% ES' : '') + (f.bossImmune ? ' (immune)' : ''))
+      : '–';
+    el('killTime').textContent = split(f => or(f.killTime, v => v.toFixed(1) + 's'));
+    document.getElementById('simTime').textContent = frame.time.toFixed(1) + 's';
+    this.updateCharts(frame, dps, ab);
   }
 
-  updateCharts(hitsPerSec, dps, cooldownPct) {
-    const now = performance.now();
-    if (now - this.metrics.lastSampleAt >= this.metrics.sampleIntervalMs) {
+  updateCharts(frame, dps, ab) {
+    const now = frame.time;
+    // Engine clock rewound (reset / new seed): start the history over
+    if (now < this.metrics.lastSampleAt) {
+      this.metrics.samples = [];
+      this.metrics.lastSampleAt = 0;
+      this.metrics.history = [];
+      this.metrics.historyIntervalSec = this.metrics.sampleIntervalSec;
+      this.historyView.span = this.historyView.end = null;
+      if (this.historyView.open) this.drawHistory();
+    }
+    if (now - this.metrics.lastSampleAt >= this.metrics.sampleIntervalSec) {
       this.metrics.lastSampleAt = now;
-      this.metrics.samples.push({
+      const sample = {
         t: now,
-        hitsTotal: this.hitsTotal,
-        hitsPerSec,
+        hitsTotal: frame.hitsTotal,
+        hitsPerSec: frame.hitsPerSec,
         dps,
-        totalDamage: this.totalDamage,
-        projAlive: this.projectiles.length,
-        cooldownPct,
-      });
+        totalDamage: frame.totalDamage,
+        projAlive: frame.projectileCount,
+        cooldownPct: frame.cooldownPct,
+        ab, // {A: {hitsPerSec, dps}, B: {...}} while comparing
+      };
+      this.metrics.samples.push(sample);
       // drop old samples beyond window
-      const cutoff = now - this.metrics.windowSec * 1000;
+      const cutoff = now - this.metrics.windowSec;
       while (this.metrics.samples.length && this.metrics.samples[0].t < cutoff) this.metrics.samples.shift();
+      this.recordHistory(sample);
     }
 
     const s = this.metrics.samples;
     this.drawSpark('sparkHits', s.map(p => p.hitsTotal));
-    this.drawSpark('sparkRate', s.map(p => p.hitsPerSec));
-    this.drawSpark('sparkDps', s.map(p => p.dps));
+    if (this.compare && s.every(p => p.ab)) {
+      // Shared scale so the two builds read against each other
+      this.drawSpark('sparkRate', s.map(p => p.ab.A.hitsPerSec), s.map(p => p.ab.B.hitsPerSec));
+      this.drawSpark('sparkDps', s.map(p => p.ab.A.dps), s.map(p => p.ab.B.dps));
+    } else {
+      this.drawSpark('sparkRate', s.map(p => p.hitsPerSec));
+      this.drawSpark('sparkDps', s.map(p => p.dps));
+    }
     this.drawSpark('sparkDmg', s.map(p => p.totalDamage));
     this.drawSpark('sparkAlive', s.map(p => p.projAlive));
     this.drawSpark('sparkCooldown', s.map(p => p.cooldownPct));
   }
 
-  drawSpark(canvasId, values) {
+  // The full history keeps the first sample and then one per history interval
+  recordHistory(sample) {
+    const m = this.metrics;
+    const last = m.history[m.history.length - 1];
+    if (last && sample.t - last.t < m.historyIntervalSec - 1e-9) return;
+    m.history.push(sample);
+    if (m.history.length > HISTORY_MAX_SAMPLES) {
+      m.history = m.history.filter((_, i) => i % 2 === 0);
+      m.historyIntervalSec *= 2;
+    }
+    if (this.historyView.open) this.drawHistory();
+  }
+
+  // Optional `overlay` series is drawn in build B's color on the same scale as `values`
+  drawSpark(canvasId, values, overlay) {
     const c = document.getElementById(canvasId);
     if (!c) return;
     const ctx = c.getContext('2d');
@@ -1210,32 +2359,214 @@ class Simulation {
     ctx.stroke();
 
     if (values.length < 2) { ctx.restore(); return; }
-    const min = Math.min(...values);
-    const max = Math.max(...values);
+    const all = overlay ? values.concat(overlay) : values;
+    const min = Math.min(...all);
+    const max = Math.max(...all);
     const span = max - min || 1;
-    ctx.strokeStyle = '#7cc5ff';
+    const series = overlay ? [[values, BUILD_COLORS.A], [overlay, BUILD_COLORS.B]] : [[values, '#7cc5ff']];
     ctx.lineWidth = 1.5;
+    for (const [vals, color] of series) {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      for (let i = 0; i < vals.length; i++) {
+        const x = (i / (vals.length - 1)) * (w - 1);
+        const y = h - ((vals[i] - min) / span) * (h - 1) - 1;
+        if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Full-history chart: the left series (and optional right one, dashed, on its own axis) against simulated time.
+   * While comparing, DPS and hit rate draw one line per build. Hovering shows the nearest sample's values.
+   */
+  drawHistory() {
+    const c = el('historyChart');
+    const ctx = c.getContext('2d');
+    const w = c.width; const h = c.height;
+    ctx.clearRect(0, 0, w, h);
+    ctx.save();
+    ctx.font = '11px ui-sans-serif, system-ui, -apple-system';
+    ctx.fillStyle = '#a8b0c0';
+    const r = this.historyRange();
+    if (!r) {
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Start the simulation to record its history', 16, h / 2);
+      ctx.restore();
+      return;
+    }
+    const v = this.historyView;
+    const { t0, t1, pad, plotW, X } = r;
+    const plotH = h - pad.t - pad.b;
+    const hist = this.metrics.history;
+    // First sample at or after t
+    const seek = (t) => {
+      let lo = 0; let hi = hist.length;
+      while (lo < hi) { const mid = (lo + hi) >> 1; if (hist[mid].t < t) lo = mid + 1; else hi = mid; }
+      return lo;
+    };
+    // Visible samples plus one either side so the lines reach the plot edges
+    const i0 = Math.max(0, seek(t0) - 1);
+    const i1 = Math.min(hist.length, seek(t1) + 1);
+
+    // One axis per chosen series, scaled to its visible values
+    const axes = [];
+    for (const side of ['left', 'right']) {
+      const series = HISTORY_SERIES.find(f => f.key === v[side]);
+      if (!series) continue;
+      const key = series.key;
+      const lines = this.compare && series.ab
+        ? ['A', 'B'].map(b => ({ name: series.label + ' ' + b, color: BUILD_COLORS[b], get: p => (p.ab ? p.ab[b][key] : null) }))
+        : [{ name: series.label, color: side === 'left' ? '#7cc5ff' : '#ffd166', get: p => p[key] }];
+      let lo = 0; let hi = 0;
+      for (let i = i0; i < i1; i++) {
+        for (const line of lines) {
+          const val = line.get(hist[i]);
+          if (val === null) continue;
+          lo = Math.min(lo, val);
+          hi = Math.max(hi, val);
+        }
+      }
+      if (hi <= lo) hi = lo + 1;
+      const step = niceStep(hi - lo, 4);
+      lo = Math.floor(lo / step) * step;
+      hi = Math.ceil(hi / step) * step;
+      const Y = (val) => pad.t + plotH - ((val - lo) / (hi - lo)) * plotH;
+      axes.push({ side, series, lines, lo, hi, step, Y, dash: side === 'right' ? [5, 4] : [] });
+    }
+
+    // Grid and tick labels: time along the bottom, each axis's values on its side
+    const xStep = niceStep(t1 - t0, Math.max(2, Math.floor(plotW / 80)));
+    ctx.strokeStyle = '#1d2334';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let t = Math.ceil(t0 / xStep) * xStep; t <= t1 + 1e-9; t += xStep) {
+      const x = Math.round(X(t)) + 0.5;
+      ctx.beginPath(); ctx.moveTo(x, pad.t); ctx.lineTo(x, pad.t + plotH); ctx.stroke();
+      ctx.fillText(formatSimTime(t, xStep < 1 ? 1 : 0), x, pad.t + plotH + 4);
+    }
+    ctx.textBaseline = 'middle';
+    for (const a of axes) {
+      ctx.textAlign = a.side === 'left' ? 'right' : 'left';
+      const tx = a.side === 'left' ? pad.l - 4 : w - pad.r + 4;
+      for (let val = a.lo; val <= a.hi + a.step * 1e-6; val += a.step) {
+        const y = Math.round(a.Y(val)) + 0.5;
+        if (a.side === 'left') { ctx.beginPath(); ctx.moveTo(pad.l, y); ctx.lineTo(w - pad.r, y); ctx.stroke(); }
+        ctx.fillText(formatShortNumber(val, 2), tx, y);
+      }
+    }
+    ctx.strokeStyle = '#2a3146';
+    ctx.strokeRect(pad.l + 0.5, pad.t + 0.5, plotW, plotH);
+    // Axis titles in their series' color
+    ctx.textBaseline = 'bottom';
+    for (const a of axes) {
+      ctx.textAlign = a.side === 'left' ? 'left' : 'right';
+      ctx.fillStyle = a.lines[0].color;
+      const title = a.series.label + (a.lines.length > 1 ? ' (A / B)' : '') + (a.side === 'right' ? ' - - -' : '');
+      ctx.fillText(title, a.side === 'left' ? pad.l : w - pad.r, pad.t - 4);
+    }
+
+    // Series, clipped to the plot; samples from before a compare toggle leave gaps
+    ctx.save();
     ctx.beginPath();
-    for (let i = 0; i < values.length; i++) {
-      const x = (i / (values.length - 1)) * (w - 1);
-      const y = h - ((values[i] - min) / span) * (h - 1) - 1;
-      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    ctx.rect(pad.l, pad.t, plotW, plotH);
+    ctx.clip();
+    ctx.lineWidth = 1.5;
+    for (const a of axes) {
+      ctx.setLineDash(a.dash);
+      for (const line of a.lines) {
+        ctx.strokeStyle = line.color;
+        ctx.beginPath();
+        let pen = false;
+        for (let i = i0; i < i1; i++) {
+          const val = line.get(hist[i]);
+          if (val === null) { pen = false; continue; }
+          if (pen) ctx.lineTo(X(hist[i].t), a.Y(val)); else ctx.moveTo(X(hist[i].t), a.Y(val));
+          pen = true;
+        }
+        ctx.stroke();
+      }
+    }
+    // Where the active build's steady state starts (see Engine.steadyState)
+    const frame = this.frames[this.activeBuild];
+    if (frame && frame.steady.steadyTime !== null) {
+      const x = Math.round(X(frame.steady.steadyTime)) + 0.5;
+      ctx.strokeStyle = '#8cffc1';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 3]);
+      ctx.beginPath(); ctx.moveTo(x, pad.t); ctx.lineTo(x, pad.t + plotH); ctx.stroke();
+      ctx.fillStyle = '#8cffc1';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      ctx.fillText('steady', x + 4, pad.t + 2);
+    }
+    ctx.restore();
+
+    // Hover readout for the sample nearest the pointer
+    if (v.hoverX !== null && !v.drag && v.hoverX >= pad.l && v.hoverX <= pad.l + plotW) {
+      const t = r.toT(v.hoverX);
+      let i = clamp(seek(t), 0, hist.length - 1);
+      if (i > 0 && t - hist[i - 1].t < hist[i].t - t) i--;
+      const p = hist[i];
+      const x = Math.round(X(p.t)) + 0.5;
+      ctx.strokeStyle = '#a8b0c0';
+      ctx.beginPath(); ctx.moveTo(x, pad.t); ctx.lineTo(x, pad.t + plotH); ctx.stroke();
+      const rows = [{ text: 't = ' + p.t.toFixed(1) + ' s', color: '#e7ecf3' }];
+      for (const a of axes) {
+        for (const line of a.lines) {
+          const val = line.get(p);
+          if (val === null) continue;
+          ctx.fillStyle = line.color;
+          ctx.beginPath(); ctx.arc(x, a.Y(val), 3, 0, TWO_PI); ctx.fill();
+          rows.push({ text: line.name + ': ' + formatShortNumber(val, 2), color: line.color });
+        }
+      }
+      const boxW = Math.max(...rows.map(row => ctx.measureText(row.text).width)) + 12;
+      const boxH = rows.length * 14 + 8;
+      const bx = x + 10 + boxW > w - pad.r ? x - 10 - boxW : x + 10;
+      ctx.fillStyle = 'rgba(15, 19, 32, 0.92)';
+      ctx.fillRect(bx, pad.t + 4, boxW, boxH);
+      ctx.strokeStyle = '#2a3146';
+      ctx.strokeRect(bx + 0.5, pad.t + 4.5, boxW, boxH);
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'top';
+      rows.forEach((row, k) => { ctx.fillStyle = row.color; ctx.fillText(row.text, bx + 6, pad.t + 8 + k * 14); });
     }
-    ctx.stroke();
     ctx.restore();
   }
 
+  // Advance simulated time in small chunks until done or the frame budget is spent
+  advanceSim(simSeconds) {
+    const ph = this.physics;
+    if (ph) {
+      // One request in flight at a time; time owed meanwhile goes out with the next one
+      ph.pendingSec += simSeconds;
+      if (ph.awaiting) return;
+      ph.worker.postMessage({ type: 'advance', seconds: ph.pendingSec });
+      ph.awaiting = true;
+      ph.pendingSec = 0;
+      return;
+    }
+    // Both builds advance in lockstep while comparing; otherwise only the active one runs
+    const live = this.compare ? ['A', 'B'] : [this.activeBuild];
+    // Compare mode goes one physics step at a time so B sees the shared enemies exactly where A moved them
+    const chunkSec = this.compare ? this.engines.A.fixedDt : SIM_CHUNK_SEC;
+    advanceEngines(live.map(name => this.engines[name]), simSeconds, chunkSec, performance.now() + FRAME_BUDGET_MS);
+    this.frames = {};
+    for (const name of live) this.frames[name] = this.engines[name].packFrame();
+    this.recordHeat();
+  }
+
   loop(t) {
     const now = t;
     let dt = (now - this.lastTime) / 1000;
     this.lastTime = now;
-    // Clamp dt to avoid spiral after tab switch
+    // Clamp wall-clock dt after a tab switch; the simulated clock simply pauses meanwhile
     dt = Math.min(dt, 0.05);
-    this.accum += dt;
-    while (this.accum >= this.fixedDt) {
-      this.step(this.fixedDt);
-      this.accum -= this.fixedDt;
-    }
+    this.advanceSim(this.simSpeed === 'max' ? Infinity : dt * this.simSpeed);
     this.draw();
     this.updateStats();
     requestAnimationFrame((t2) => this.loop(t2));
@@ -1251,53 +2582,10 @@ window.addEventListener('DOMContentLoaded', () => {
     const rect = parent.getBoundingClientRect();
     canvas.width = Math.floor(rect.width);
     canvas.height = Math.floor(rect.height);
-    // Recreate sim to rescale arenas while preserving entities
-    if (window.__sim) {
-      const prev = window.__sim;
-      const sim = new Simulation(canvas);
-      const ratio = sim.scale / prev.scale;
-      // propagate scale globally for projectile radius construction
-      window.__currentScale = sim.scale;
-      // Rescale entities using world-space relative to center to handle aspect changes
-      const prevCenterX = prev.width / 2, prevCenterY = prev.height / 2;
-      const newCenterX = sim.width / 2, newCenterY = sim.height / 2;
-      const toWorldUnits = (px, py) => ({ ux: (px - prevCenterX) / prev.scale, uy: (py - prevCenterY) / prev.scale });
-      const toScreen = (ux, uy) => ({ x: newCenterX + ux * sim.scale, y: newCenterY + uy * sim.scale });
-
-      const cWU = toWorldUnits(prev.caster.x, prev.caster.y);
-      const cPX = toScreen(cWU.ux, cWU.uy);
-      sim.caster.x = cPX.x; sim.caster.y = cPX.y;
-      const bWU = toWorldUnits(prev.boss.x, prev.boss.y);
-      const bPX = toScreen(bWU.ux, bWU.uy);
-      sim.boss.x = bPX.x; sim.boss.y = bPX.y;
-      if (prev.running) {
-        // If actively resizing while running, reset to avoid unstable state
-        sim.projectiles = [];
-        sim.hitsTotal = 0;
-        sim.totalDamage = 0;
-        sim.hitTimestamps = [];
-        sim.castTargetLocks.clear();
-        sim.running = true;
-      } else {
-        // Carry-over projectiles with rescale when paused
-        sim.projectiles = prev.projectiles.map(p => {
-          const w = toWorldUnits(p.x, p.y);
-          const mapped = toScreen(w.ux, w.uy);
-          p.x = mapped.x; p.y = mapped.y;
-          p.vx *= ratio; p.vy *= ratio;
-          p.speed *= ratio;
-          p.radius = PROJ_RADIUS_UNITS * sim.scale;
-          return p;
-        });
-        sim.running = prev.running;
-      }
-      window.__sim = sim;
-    }
+    // Engine state is in world units, so a resize only rescales the view
+    if (window.__sim) window.__sim.resize(canvas.width, canvas.height);
   };
+  resize();
   window.addEventListener('resize', resize);
   window.__sim = new Simulation(canvas);
-  window.__currentScale = window.__sim.scale;
-  resize();
 });
-
-
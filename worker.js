@@ -0,0 +1,110 @@
+/* Physics worker: runs the engines off the page's thread and posts compact frames back (see main.js) */
+importScripts('./engine.js');
+
+// Wall-clock budget per advance request (ms). The worker isn't tied to the page's frames, so it can use more.
+const ADVANCE_BUDGET_MS = 20;
+// Simulated seconds per chunk outside lockstep (matches the page)
+const CHUNK_SEC = 1 / 30;
+
+// Live run: one engine per build; B shares A's caster and enemies, as on the page
+let engines = null;
+let compare = false;
+let activeBuild = 'A';
+
+// Keep the previous arena definition object when the posted one is unchanged, so setConfig doesn't rebuild it
+function sameDef(prev, next) {
+  return prev && next && JSON.stringify(prev) === JSON.stringify(next) ? prev : next;
+}
+
+function applyConfigs(configs) {
+  for (const name of ['A', 'B']) {
+    const cfg = Object.assign({}, configs[name]);
+    const prev = engines[name].config;
+    cfg.customArena = sameDef(prev.customArena, cfg.customArena);
+    cfg.importedArena = sameDef(prev.importedArena, cfg.importedArena);
+    engines[name].setConfig(cfg);
+  }
+}
+
+/**
+ * Match the shared entities to the page's list [caster, boss, ...extra enemies] of {id, homeX, homeY, r, drag}.
+ * A changed placed position is a drag, applied with moveBy so a moving entity keeps its pattern.
+ */
+function syncEntities(list) {
+  const A = engines.A;
+  const place = (ent, d) => {
+    if (ent.homeX !== d.homeX || ent.homeY !== d.homeY) ent.moveBy(d.homeX - ent.homeX, d.homeY - ent.homeY);
+    ent.drag = d.drag;
+  };
+  place(A.caster, list[0]);
+  const byId = new Map(A.enemies.map(e => [e.id, e]));
+  const next = list.slice(1).map(d => {
+    const enemy = byId.get(d.id) || new Entity(d.homeX, d.homeY, d.r, '#ff9f7a', d.id);
+    enemy.r = d.r;
+    place(enemy, d);
+    return enemy;
+  });
+  // In place: B holds the same array
+  A.enemies.splice(0, A.enemies.length, ...next);
+}
+
+function liveEngines() { return compare ? [engines.A, engines.B] : [engines[activeBuild]]; }
+
+function postFrame() {
+  const frames = {};
+  const transfer = [];
+  for (const name of compare ? ['A', 'B'] : [activeBuild]) {
+    frames[name] = engines[name].packFrame();
+    transfer.push(frames[name].projectiles.buffer, frames[name].hitMarks.buffer);
+  }
+  const entities = engines.A.packEntities();
+  transfer.push(entities.buffer);
+  self.postMessage({ type: 'frame', frames, entities }, transfer);
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  switch (msg.type) {
+    case 'scene':
+      // Configs, flags and entities; the first one creates the engines
+      if (!engines) {
+        engines = { A: createEngine(msg.configs.A), B: createEngine(msg.configs.B) };
+        engines.B.caster = engines.A.caster;
+        engines.B.boss = engines.A.boss;
+        engines.B.enemies = engines.A.enemies;
+      }
+      compare = msg.compare;
+      activeBuild = msg.activeBuild;
+      engines.A.movesEntities = compare || activeBuild === 'A';
+      engines.B.movesEntities = !engines.A.movesEntities;
+      applyConfigs(msg.configs);
+      syncEntities(msg.entities);
+      engines.A.running = engines.B.running = msg.running;
+      // Event logs only while the page records them; switching on starts them from now
+      if (msg.recordEvents !== Boolean(engines.A.events)) {
+        engines.A.recordEvents(msg.recordEvents);
+        engines.B.recordEvents(msg.recordEvents);
+      }
+      if (msg.reset) { engines.A.reset(); engines.B.reset(); }
+      return;
+    case 'entities':
+      syncEntities(msg.entities);
+      return;
+    case 'advance': {
+      const chunkSec = compare ? engines.A.fixedDt : CHUNK_SEC;
+      advanceEngines(liveEngines(), msg.seconds, chunkSec, performance.now() + ADVANCE_BUDGET_MS);
+      postFrame();
+      return;
+    }
+    case 'events':
+      // Event log export: the build's whole log since its last reset
+      self.postMessage({ type: 'events', format: msg.format, build: msg.build, events: engines[msg.build].events, dropped: engines[msg.build].eventsDropped });
+      return;
+    case 'trial': {
+      // Batch jobs: one offscreen trial per message
+      const res = runTrial(msg.config, msg.seconds);
+      self.postMessage({ type: 'trialDone', index: msg.index, dps: res.dps, ttk: res.ttk });
+      return;
+    }
+  }
+};